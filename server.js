@@ -1,6 +1,10 @@
 import express from "express";
 import cors from "cors";
 import zlib from "zlib";
+import fs from "fs";
+import crypto from "crypto";
+import path from "path";
+import { AsyncLocalStorage } from "async_hooks";
 
 /**
  * NEON QUANT backend (replacement v4)
@@ -16,7 +20,7 @@ const app = express();
 // Use explicit options so Firefox/Safari won't report opaque NetworkError on preflight failures.
 const corsOptions = {
   origin: true, // reflect requesting origin
-  methods: ["GET", "POST", "OPTIONS"],
+  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
   allowedHeaders: ["Content-Type", "Authorization"],
   maxAge: 86400,
 };
@@ -46,32 +50,414 @@ const TZ = process.env.TZ || "Asia/Shanghai";
 const AV_KEY = process.env.ALPHAVANTAGE_KEY || "";
 
 /* =========================
-   In-memory cache
+   Cache (pluggable store: memory | file)
+   - LRU eviction by entry count and approximate bytes
+   - entries outlive their TTL for CACHE_STALE_MS so a failing upstream can
+     still be answered with the last good value (flagged stale)
 ========================= */
-const CACHE = new Map();
-function cacheGet(k) {
-  const v = CACHE.get(k);
-  if (!v) return null;
-  if (Date.now() > v.exp) {
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), "data");
+const CACHE_BACKEND = String(process.env.CACHE_BACKEND || "file").toLowerCase();
+const CACHE_FILE = process.env.CACHE_FILE || path.join(DATA_DIR, "cache.json");
+const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES || 2000);
+const CACHE_MAX_BYTES = Number(process.env.CACHE_MAX_BYTES || 64 * 1024 * 1024);
+const CACHE_STALE_MS = Number(process.env.CACHE_STALE_MS || 7 * 24 * 60 * 60 * 1000);
+
+function approxBytes(val) {
+  try {
+    return JSON.stringify(val)?.length || 0;
+  } catch {
+    return 0;
+  }
+}
+
+function createMemoryStore({ maxEntries = CACHE_MAX_ENTRIES, maxBytes = CACHE_MAX_BYTES } = {}) {
+  const map = new Map(); // insertion order == LRU order (oldest first)
+  let bytes = 0;
+
+  function remove(k) {
+    const e = map.get(k);
+    if (!e) return;
+    bytes -= e.bytes || 0;
+    map.delete(k);
+  }
+  function evict() {
+    for (const k of map.keys()) {
+      if (map.size <= maxEntries && bytes <= maxBytes) break;
+      remove(k);
+    }
+  }
+
+  return {
+    backend: "memory",
+    get(k) {
+      const e = map.get(k);
+      if (!e) return null;
+      // touch: move to the most-recently-used end
+      map.delete(k);
+      map.set(k, e);
+      return e;
+    },
+    set(k, e) {
+      remove(k);
+      map.set(k, e);
+      bytes += e.bytes || 0;
+      evict();
+    },
+    delete: remove,
+    entries: () => map.entries(),
+    stats: () => ({ entries: map.size, bytes, maxEntries, maxBytes }),
+  };
+}
+
+// Raw upstream bodies (whole pingzhongdata JS files) are only worth keeping in memory; parsed results persist.
+const CACHE_NO_PERSIST = /^cnfundjs:/;
+
+function createFileStore({ file = CACHE_FILE, flushDelayMs = 5000, ...opts } = {}) {
+  const mem = createMemoryStore(opts);
+  let timer = null;
+  let writing = null; // running async flush
+  let again = false; // set while writing: flush once more when it is done
+
+  try {
+    const rows = JSON.parse(fs.readFileSync(file, "utf8"));
+    const now = Date.now();
+    for (const [k, e] of Array.isArray(rows) ? rows : []) {
+      if (e && e.staleUntil > now) mem.set(k, e);
+    }
+    console.log(`[CACHE] loaded ${mem.stats().entries} entries from ${file}`);
+  } catch (e) {
+    if (e?.code !== "ENOENT") console.error(`[CACHE] load failed file=${file}`, e?.message || e);
+  }
+
+  const persisted = () => Array.from(mem.entries()).filter(([k]) => !CACHE_NO_PERSIST.test(k));
+
+  // Shutdown path only: the process exits right after.
+  function flushSync() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.sync.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(persisted()));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.error(`[CACHE] flush failed file=${file}`, e?.message || e);
+    }
+  }
+  // Serializes entry by entry, yielding to the event loop between chunks, and writes asynchronously.
+  async function flush() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    if (writing) {
+      again = true;
+      return writing;
+    }
+    writing = (async () => {
+      try {
+        const parts = [];
+        for (const [i, row] of persisted().entries()) {
+          parts.push(JSON.stringify(row));
+          if (i % 200 === 199) await new Promise((r) => setImmediate(r));
+        }
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.tmp`;
+        await fs.promises.writeFile(tmp, `[${parts.join(",")}]`);
+        await fs.promises.rename(tmp, file);
+      } catch (e) {
+        console.error(`[CACHE] flush failed file=${file}`, e?.message || e);
+      } finally {
+        writing = null;
+        if (again) {
+          again = false;
+          scheduleFlush();
+        }
+      }
+    })();
+    return writing;
+  }
+  function scheduleFlush() {
+    if (timer) return;
+    timer = setTimeout(flush, flushDelayMs);
+    timer.unref?.();
+  }
+
+  return {
+    ...mem,
+    backend: "file",
+    set(k, e) {
+      mem.set(k, e);
+      scheduleFlush();
+    },
+    delete(k) {
+      mem.delete(k);
+      scheduleFlush();
+    },
+    flush,
+    flushSync,
+    stats: () => ({ ...mem.stats(), file }),
+  };
+}
+
+const CACHE = CACHE_BACKEND === "memory" ? createMemoryStore() : createFileStore();
+
+// Raw entry lookup: returns expired entries while they are still inside the stale window.
+function cacheEntry(k) {
+  const e = CACHE.get(k);
+  if (!e) return null;
+  if (Date.now() > e.staleUntil) {
     CACHE.delete(k);
     return null;
   }
-  return v.val;
+  return e;
+}
+function cacheGet(k) {
+  const e = cacheEntry(k);
+  if (!e || Date.now() > e.exp) return null;
+  return e.val;
+}
+function cacheSet(k, val, ttlMs = 10 * 60 * 1000, staleMs = CACHE_STALE_MS) {
+  const now = Date.now();
+  CACHE.set(k, { val, at: now, exp: now + ttlMs, staleUntil: now + ttlMs + staleMs, bytes: approxBytes(val) });
+}
+
+function markStale(e, reason) {
+  return { ...e.val, stale: true, staleAt: e.val?.staleAt || new Date(e.at).toISOString(), staleReason: reason || null };
+}
+
+/**
+ * Cache-aware fetch with stale-while-revalidate:
+ * - fresh entry             -> returned as-is
+ * - expired but good entry  -> returned flagged stale, loader refreshes it in the background
+ * - loader fails (ok:false) -> last good value flagged stale (short TTL), failure only cached if nothing good exists
+ * Loads are single-flight per key: concurrent misses share one upstream fetch. The shared load runs outside any
+ * caller's deadline (see withDeadline); each waiter only stops waiting when its own deadline fires.
+ */
+const CACHE_STATS = { hits: 0, staleHits: 0, misses: 0, loads: 0, coalesced: 0 };
+const INFLIGHT = new Map(); // cache key -> Promise of the running load
+
+function singleFlight(key, fn) {
+  const running = INFLIGHT.get(key);
+  if (running) {
+    CACHE_STATS.coalesced++;
+    return untilDeadline(running);
+  }
+  CACHE_STATS.loads++;
+  const p = DEADLINE_SIGNAL.exit(() => Promise.resolve().then(fn))
+    .finally(() => INFLIGHT.delete(key));
+  INFLIGHT.set(key, p);
+  return untilDeadline(p);
+}
+
+// Wait for a shared promise, giving up (not cancelling it) when the current caller's deadline fires.
+function untilDeadline(p) {
+  const signal = DEADLINE_SIGNAL.getStore();
+  if (!signal) return p;
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener("abort", onAbort, { once: true });
+    p.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+async function cacheFetch(key, loader, { ttlMs = 10 * 60 * 1000, failTtlMs = 60 * 1000, force = false } = {}) {
+  const e = cacheEntry(key);
+  if (e && !force) {
+    if (Date.now() <= e.exp) {
+      CACHE_STATS.hits++;
+      return e.val;
+    }
+    if (e.val?.ok && !e.val.stale) {
+      CACHE_STATS.staleHits++;
+      if (!INFLIGHT.has(key)) {
+        singleFlight(key, () => runLoader(key, loader, ttlMs, failTtlMs))
+          .catch((err) => err?.name !== "DeadlineError" && console.error(`[CACHE] revalidate failed key=${key}`, err?.message || err));
+      }
+      return markStale(e, "revalidating");
+    }
+  }
+  CACHE_STATS.misses++;
+  return singleFlight(key, () => runLoader(key, loader, ttlMs, failTtlMs));
+}
+// Spread into route items so the frontend can tell cached-fallback data apart.
+function staleInfo(data) {
+  return data?.stale ? { stale: true, staleAt: data.staleAt || null } : {};
 }
-function cacheSet(k, val, ttlMs = 10 * 60 * 1000) {
-  CACHE.set(k, { val, exp: Date.now() + ttlMs });
+async function runLoader(key, loader, ttlMs, failTtlMs) {
+  let data;
+  try {
+    data = await loader();
+  } catch (err) {
+    data = { ok: false, reason: err?.name === "AbortError" ? "upstream timeout" : (err?.message || String(err)) };
+  }
+  if (data?.ok) {
+    // Built on a stale upstream fallback (e.g. fund JS served from cache): keep it only until the next retry.
+    cacheSet(key, data, data.stale ? failTtlMs : ttlMs);
+    return data;
+  }
+  const prev = cacheEntry(key);
+  if (prev?.val?.ok) {
+    const stale = markStale(prev, data?.reason || "upstream failed");
+    // Keep the original fetch time and stale window; only the retry delay is refreshed.
+    CACHE.set(key, { ...prev, val: stale, exp: Date.now() + failTtlMs, bytes: prev.bytes });
+    return stale;
+  }
+  cacheSet(key, data, failTtlMs, 0);
+  return data;
 }
 
 async function fetchWithTimeout(url, opts = {}) {
   const timeoutMs = Number(opts.timeoutMs || 20000);
+  // Caller signal (e.g. client disconnect) and the running batch item's deadline (withDeadline) both abort.
+  const callerSignals = [opts.signal, DEADLINE_SIGNAL.getStore()].filter(Boolean);
+  const callerSignal = callerSignals.length > 1 ? AbortSignal.any(callerSignals) : callerSignals[0];
+  const release = await acquireHostSlot(url, callerSignal);
   const ctrl = new AbortController();
   const t = setTimeout(() => ctrl.abort(), timeoutMs);
+  // The timeout only covers getting the response headers.
+  const signal = callerSignal ? AbortSignal.any([callerSignal, ctrl.signal]) : ctrl.signal;
   try {
-    const r = await fetch(url, { ...opts, signal: ctrl.signal });
+    const r = await fetch(url, { ...opts, signal });
     return r;
   } finally {
     clearTimeout(t);
+    release();
+  }
+}
+
+/* =========================
+   Batch executor + per-host politeness
+   - runBatch keeps input order and turns throws/timeouts into per-item ok:false
+   - market-data hosts get at most HOST_CONCURRENCY requests in flight and
+     HOST_MIN_INTERVAL_MS between request starts (Eastmoney/Yahoo ban bursts)
+========================= */
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY || 6);
+const BATCH_MAX_CONCURRENCY = 16;
+const BATCH_ITEM_TIMEOUT_MS = Number(process.env.BATCH_ITEM_TIMEOUT_MS || 45000);
+const HOST_CONCURRENCY = Number(process.env.HOST_CONCURRENCY || 2);
+const HOST_MIN_INTERVAL_MS = Number(process.env.HOST_MIN_INTERVAL_MS || 150);
+const POLITE_HOSTS = String(process.env.POLITE_HOSTS || "eastmoney.com,1234567.com.cn,finance.yahoo.com,stooq.com,alphavantage.co")
+  .split(",")
+  .map((x) => x.trim().toLowerCase())
+  .filter(Boolean);
+
+const HOST_SLOTS = new Map(); // politeKey -> { active, lastStart, queue: [resolve] }
+
+function politeKey(url) {
+  let host = "";
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+  return POLITE_HOSTS.find((h) => host === h || host.endsWith(`.${h}`)) || null;
+}
+
+// signal: give up the place in the queue (rejects with its reason) when the caller stops waiting.
+async function acquireHostSlot(url, signal) {
+  const key = politeKey(url);
+  if (!key) return () => {};
+  signal?.throwIfAborted();
+
+  let slot = HOST_SLOTS.get(key);
+  if (!slot) {
+    slot = { active: 0, lastStart: 0, queue: [] };
+    HOST_SLOTS.set(key, slot);
+  }
+  if (slot.active >= HOST_CONCURRENCY) {
+    await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        slot.queue.splice(slot.queue.indexOf(wake), 1);
+        reject(signal.reason);
+      };
+      const wake = () => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      };
+      slot.queue.push(wake);
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
+  } else {
+    slot.active++;
+  }
+
+  const wait = slot.lastStart + HOST_MIN_INTERVAL_MS - Date.now();
+  slot.lastStart = Math.max(Date.now(), slot.lastStart + HOST_MIN_INTERVAL_MS);
+  if (wait > 0) await sleep(wait);
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    // Hand the slot straight to the next waiter (active count unchanged) or free it.
+    const next = slot.queue.shift();
+    if (next) next();
+    else slot.active--;
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Deadline signal of the batch item / tool call running in this async context; fetchWithTimeout and the
+// host queue honour it, so a timed-out worker stops fetching and frees its host slots.
+const DEADLINE_SIGNAL = new AsyncLocalStorage();
+
+// run(signal) -> promise; rejects with a DeadlineError after ms and aborts `signal` (nested deadlines combine).
+function withDeadline(run, ms, label = "item") {
+  const ctrl = new AbortController();
+  const outer = DEADLINE_SIGNAL.getStore();
+  const signal = outer ? AbortSignal.any([outer, ctrl.signal]) : ctrl.signal;
+  let t = null;
+  const deadline = new Promise((_, reject) => {
+    t = setTimeout(() => {
+      const err = Object.assign(new Error(`${label} deadline ${ms}ms exceeded`), { name: "DeadlineError" });
+      ctrl.abort(err);
+      reject(err);
+    }, ms);
+  });
+  const work = DEADLINE_SIGNAL.run(signal, () => Promise.resolve().then(() => run(signal)));
+  return Promise.race([work, deadline]).finally(() => clearTimeout(t));
+}
+
+// Fallback ok:false item for a position whose worker threw or hit its deadline.
+function batchErrorItem(p, reason) {
+  const inst = resolveInstrument(p?.code, p?.type);
+  return { ok: false, code: inst.code, reason };
+}
+
+function clampConcurrency(n) {
+  const v = Math.floor(Number(n));
+  if (!isFinite(v) || v <= 0) return BATCH_CONCURRENCY;
+  return Math.max(1, Math.min(BATCH_MAX_CONCURRENCY, v));
+}
+
+/**
+ * Run worker(input, index, signal) over inputs with bounded concurrency; signal aborts at the item deadline.
+ * - worker may return null to drop an input (same as `continue` in the old loops)
+ * - onError(input, err) builds the ok:false item for throws and deadline hits
+ * Results keep input order.
+ */
+async function runBatch(inputs, worker, { concurrency = BATCH_CONCURRENCY, itemTimeoutMs = BATCH_ITEM_TIMEOUT_MS, onError } = {}) {
+  const results = new Array(inputs.length).fill(null);
+  let next = 0;
+
+  async function lane() {
+    while (next < inputs.length) {
+      const i = next++;
+      try {
+        results[i] = await withDeadline((signal) => worker(inputs[i], i, signal), itemTimeoutMs);
+      } catch (err) {
+        const reason = err?.name === "DeadlineError" ? "item timeout" : (err?.message || String(err));
+        results[i] = onError ? onError(inputs[i], err, reason) : { ok: false, reason };
+      }
+    }
   }
+
+  const lanes = Math.min(clampConcurrency(concurrency), inputs.length);
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results.filter((x) => x != null);
 }
 
 /* =========================
@@ -94,6 +480,122 @@ function pick(obj, keys) {
   for (const k of keys) if (obj && obj[k] != null) return obj[k];
   return null;
 }
+// Like toNum, but blank/missing stays null instead of becoming 0.
+function numOrNull(x) {
+  if (x == null || x === "") return null;
+  return toNum(x);
+}
+
+/* =========================
+   Instruments
+   type -> market (provider chain + currency) and canonical code:
+   - CN_FUND   000001        off-exchange fund, NAV history (Eastmoney pingzhongdata)
+   - CN_STOCK  600519.SH     A-share; accepts 600519 (with type), SH600519, 600519.SS
+   - CN_ETF    510300.SH     exchange-traded fund/LOF, priced like a stock
+   - HK_STOCK  0700.HK       accepts 700.HK, HK00700, 00700 (with type)
+   - US_STOCK  QQQ           US stocks/ETFs; a trailing .US is dropped
+   A bare 1-6 digit code with no type stays a CN fund (the original behaviour).
+========================= */
+const INSTRUMENT_TYPES = ["CN_FUND", "CN_STOCK", "CN_ETF", "HK_STOCK", "US_STOCK"];
+const INSTRUMENT_MARKET = { CN_FUND: "CN", CN_STOCK: "CN", CN_ETF: "CN", HK_STOCK: "HK", US_STOCK: "US" };
+// Looser names older clients send.
+const INSTRUMENT_ALIASES = { CN: "CN_FUND", FUND: "CN_FUND", HK: "HK_STOCK", US: "US_STOCK", US_ETF: "US_STOCK" };
+
+function normInstrumentType(type) {
+  const t = String(type || "").trim().toUpperCase();
+  return INSTRUMENT_TYPES.includes(t) ? t : INSTRUMENT_ALIASES[t] || "";
+}
+
+// Exchange from the A-share code prefix: 6/5/9 Shanghai, 4/8 Beijing, otherwise Shenzhen.
+function cnExchangeOf(code) {
+  if (/^[569]/.test(code)) return "SH";
+  if (/^[48]/.test(code)) return "BJ";
+  return "SZ";
+}
+
+// On-exchange funds: SH 51/52/56/58, SZ 15/16/18 (ETF + LOF); everything else is a stock.
+function cnListedTypeOf(code) {
+  return /^(5[1268]|1[568])/.test(code) ? "CN_ETF" : "CN_STOCK";
+}
+
+function makeInstrument(type, code, exchange = null) {
+  const market = INSTRUMENT_MARKET[type];
+  return { ok: true, type, market, code, exchange, currency: MARKET_CURRENCY[market] || null };
+}
+
+/**
+ * Normalize a user-supplied code (+ optional type) into { ok, type, market, code, exchange, currency }.
+ * A known type wins over what the code looks like (unknown types are ignored); a code that cannot be
+ * that type is an error.
+ */
+function resolveInstrument(codeRaw, typeRaw) {
+  const raw = String(codeRaw || "").trim().toUpperCase();
+  const type = normInstrumentType(typeRaw);
+  if (!raw) return { ok: false, code: "", reason: "empty code" };
+
+  const hk = raw.match(/^(\d{1,5})\.HK$/) || raw.match(/^HK(\d{1,5})$/) || (type === "HK_STOCK" ? raw.match(/^(\d{1,5})$/) : null);
+  if (hk && (!type || type === "HK_STOCK")) return makeInstrument("HK_STOCK", `${hk[1].replace(/^0+(?=\d)/, "").padStart(4, "0")}.HK`, "HK");
+
+  const listed = raw.match(/^(SH|SZ|BJ)(\d{6})$/) || raw.match(/^(\d{6})\.(SH|SS|SZ|BJ)$/);
+  const cnDigits = listed ? (listed[1].length === 6 ? listed[1] : listed[2]) : /^\d{6}$/.test(raw) && (type === "CN_STOCK" || type === "CN_ETF") ? raw : null;
+  if (cnDigits && type !== "CN_FUND" && (!type || INSTRUMENT_MARKET[type] === "CN")) {
+    const exch = listed ? (listed[1].length === 6 ? listed[2] : listed[1]).replace("SS", "SH") : cnExchangeOf(cnDigits);
+    return makeInstrument(type || cnListedTypeOf(cnDigits), `${cnDigits}.${exch}`, exch);
+  }
+
+  if (type === "CN_FUND" || (!type && /^\d{1,6}$/.test(raw))) {
+    const fund = normFundCode(raw);
+    if (!/^\d{6}$/.test(fund)) return { ok: false, code: raw, reason: "CN fund code must be 6 digits" };
+    return makeInstrument("CN_FUND", fund);
+  }
+
+  if (type && type !== "US_STOCK") return { ok: false, code: raw, reason: `${raw} is not a valid ${type} code` };
+  const sym = normTicker(raw.replace(/\.US$/, ""));
+  if (!/^[A-Z0-9][A-Z0-9.\-^=]*$/.test(sym)) return { ok: false, code: sym, reason: "invalid ticker" };
+  return makeInstrument("US_STOCK", sym);
+}
+
+/* =========================
+   Series model
+   Bar: { date, open, high, low, close, volume, adjClose }
+   - close is the raw close (unit NAV for CN funds); adjClose is split/dividend adjusted when the source has it
+   - close-only sources (CN fund NAV) emit { date, close, adjClose?, accNav? } and the history is flagged closeOnly
+     (closeOnly = no intraday range/volume; the adjusted close may still be there)
+========================= */
+const OHLCV_FIELDS = ["open", "high", "low", "close", "volume", "adjClose"];
+
+function makeBar(date, { open, high, low, close, volume, adjClose } = {}) {
+  return {
+    date,
+    open: numOrNull(open),
+    high: numOrNull(high),
+    low: numOrNull(low),
+    close,
+    volume: numOrNull(volume),
+    adjClose: numOrNull(adjClose),
+  };
+}
+
+// Which OHLCV fields actually carry data; attached to every history result.
+function seriesMeta(series) {
+  const fields = OHLCV_FIELDS.filter((f) => f === "close" || series.some((b) => b[f] != null));
+  return { fields, closeOnly: !fields.includes("high") && !fields.includes("low") };
+}
+
+/**
+ * Series to compute on: with adjusted=true (default) every bar is rescaled to its adjClose
+ * (total return: dividends reinvested, splits removed) so payouts don't look like price drops.
+ * Bars without adjClose pass through unchanged.
+ */
+function analysisSeries(series, adjusted = true) {
+  if (!adjusted) return series;
+  return series.map((b) => {
+    if (b.adjClose == null || !b.close) return b;
+    const f = b.adjClose / b.close;
+    const scale = (x) => (x == null ? x : x * f);
+    return { ...b, open: scale(b.open), high: scale(b.high), low: scale(b.low), close: b.adjClose };
+  });
+}
 
 /* =========================
    Indicators
@@ -144,8 +646,9 @@ function macd(closes) {
   const hist = (sig == null) ? null : (m - sig);
   return { macd: m, signal: sig, hist };
 }
-function calcIndicatorsFromSeries(series) {
-  const closes = series.map((x) => x.close).filter((x) => typeof x === "number");
+function calcIndicatorsFromSeries(series, spec = null, opts = {}) {
+  const bars = series.filter((x) => typeof x.close === "number");
+  const closes = bars.map((x) => x.close);
   const count = closes.length;
   const last = count ? closes[count - 1] : null;
   const sma20 = sma(closes, 20);
@@ -153,7 +656,7 @@ function calcIndicatorsFromSeries(series) {
   const rsi = rsi14(closes);
   const ret20 = count >= 21 ? ((closes[count - 1] / closes[count - 21]) - 1) * 100 : null;
   const m = macd(closes);
-  return {
+  const base = {
     count,
     last,
     sma20,
@@ -164,8 +667,405 @@ function calcIndicatorsFromSeries(series) {
     signal: m.signal,
     hist: m.hist,
   };
+  if (!spec && !opts.withSeries) return base;
+  return { ...base, ...calcExtraIndicators(bars, spec || {}, opts) };
+}
+
+/* ---- Extended indicators (opt-in via an `indicators` spec) ----
+   Series helpers return arrays aligned with the input bars (null during warm-up).
+   Close-only histories (CN fund NAV) have no high/low: ATR stays null, KDJ uses close as the range.
+*/
+const ANNUALIZE_DAYS = 252;
+
+function smaSeries(arr, n) {
+  const out = new Array(arr.length).fill(null);
+  let s = 0;
+  for (let i = 0; i < arr.length; i++) {
+    s += arr[i];
+    if (i >= n) s -= arr[i - n];
+    if (i >= n - 1) out[i] = s / n;
+  }
+  return out;
+}
+function emaSeries(arr, n) {
+  // Seeded with the first value, same as ema() above.
+  const out = new Array(arr.length).fill(null);
+  const k = 2 / (n + 1);
+  let e = arr[0];
+  for (let i = 0; i < arr.length; i++) {
+    e = i === 0 ? arr[0] : arr[i] * k + e * (1 - k);
+    if (i >= n - 1) out[i] = e;
+  }
+  return out;
+}
+function stdev(arr) {
+  if (arr.length < 2) return null;
+  const mean = arr.reduce((s, x) => s + x, 0) / arr.length;
+  return Math.sqrt(arr.reduce((s, x) => s + (x - mean) ** 2, 0) / (arr.length - 1));
+}
+function bollSeries(closes, n = 20, k = 2) {
+  const mid = smaSeries(closes, n);
+  return closes.map((_, i) => {
+    if (mid[i] == null) return null;
+    let v = 0;
+    for (let j = i - n + 1; j <= i; j++) v += (closes[j] - mid[i]) ** 2;
+    const sd = Math.sqrt(v / n);
+    const upper = mid[i] + k * sd;
+    const lower = mid[i] - k * sd;
+    return {
+      mid: mid[i],
+      upper,
+      lower,
+      pctB: upper === lower ? null : (closes[i] - lower) / (upper - lower),
+      width: mid[i] ? ((upper - lower) / mid[i]) * 100 : null,
+    };
+  });
+}
+function rsiWilderSeries(closes, n = 14) {
+  const out = new Array(closes.length).fill(null);
+  if (closes.length < n + 1) return out;
+  let g = 0, l = 0;
+  for (let i = 1; i <= n; i++) {
+    const d = closes[i] - closes[i - 1];
+    if (d >= 0) g += d;
+    else l -= d;
+  }
+  let avgG = g / n, avgL = l / n;
+  const val = () => (avgL === 0 ? 100 : 100 - 100 / (1 + avgG / avgL));
+  out[n] = val();
+  for (let i = n + 1; i < closes.length; i++) {
+    const d = closes[i] - closes[i - 1];
+    avgG = (avgG * (n - 1) + Math.max(d, 0)) / n;
+    avgL = (avgL * (n - 1) + Math.max(-d, 0)) / n;
+    out[i] = val();
+  }
+  return out;
+}
+function atrSeries(bars, n = 14) {
+  // Wilder-smoothed true range; needs high/low on every bar.
+  const out = new Array(bars.length).fill(null);
+  if (bars.length < n + 1 || bars.some((b) => b.high == null || b.low == null)) return out;
+  const tr = bars.map((b, i) => {
+    if (i === 0) return b.high - b.low;
+    const pc = bars[i - 1].close;
+    return Math.max(b.high - b.low, Math.abs(b.high - pc), Math.abs(b.low - pc));
+  });
+  let a = tr.slice(1, n + 1).reduce((s, x) => s + x, 0) / n;
+  out[n] = a;
+  for (let i = n + 1; i < bars.length; i++) {
+    a = (a * (n - 1) + tr[i]) / n;
+    out[i] = a;
+  }
+  return out;
+}
+function kdjSeries(bars, n = 9, m1 = 3, m2 = 3) {
+  // CN convention: K/D start at 50 and are smoothed with 1/m weights.
+  const out = new Array(bars.length).fill(null);
+  let k = 50, d = 50;
+  for (let i = 0; i < bars.length; i++) {
+    if (i < n - 1) continue;
+    let hi = -Infinity, lo = Infinity;
+    for (let j = i - n + 1; j <= i; j++) {
+      hi = Math.max(hi, bars[j].high ?? bars[j].close);
+      lo = Math.min(lo, bars[j].low ?? bars[j].close);
+    }
+    const rsv = hi === lo ? 50 : ((bars[i].close - lo) / (hi - lo)) * 100;
+    k = ((m1 - 1) * k + rsv) / m1;
+    d = ((m2 - 1) * d + k) / m2;
+    out[i] = { k, d, j: 3 * k - 2 * d };
+  }
+  return out;
+}
+function volSeries(closes, n = 20) {
+  // Annualized realized volatility (%) of daily log returns over a rolling window.
+  const out = new Array(closes.length).fill(null);
+  const rets = closes.map((c, i) => (i === 0 || !(closes[i - 1] > 0) || !(c > 0) ? null : Math.log(c / closes[i - 1])));
+  for (let i = n; i < closes.length; i++) {
+    const w = rets.slice(i - n + 1, i + 1).filter((x) => x != null);
+    const sd = stdev(w);
+    out[i] = sd == null ? null : sd * Math.sqrt(ANNUALIZE_DAYS) * 100;
+  }
+  return out;
+}
+function drawdownSeries(closes) {
+  // Percent below the running peak (<= 0).
+  let peak = -Infinity;
+  return closes.map((c) => {
+    peak = Math.max(peak, c);
+    return peak > 0 ? ((c / peak) - 1) * 100 : null;
+  });
+}
+function rsiSimpleSeries(closes, n = 14) {
+  // Rolling version of rsi14(): plain average of gains/losses over the last n diffs.
+  const out = new Array(closes.length).fill(null);
+  let g = 0, l = 0;
+  for (let i = 1; i < closes.length; i++) {
+    const d = closes[i] - closes[i - 1];
+    if (d >= 0) g += d;
+    else l -= d;
+    if (i > n) {
+      const od = closes[i - n] - closes[i - n - 1];
+      if (od >= 0) g -= od;
+      else l += od;
+    }
+    if (i >= n) out[i] = l <= 1e-12 ? 100 : 100 - 100 / (1 + g / l);
+  }
+  return out;
+}
+function macdSeries(closes) {
+  const k12 = 2 / 13, k26 = 2 / 27;
+  let a = closes[0], b = closes[0];
+  const line = closes.map((c) => {
+    a = c * k12 + a * (1 - k12);
+    b = c * k26 + b * (1 - k26);
+    return a - b;
+  });
+  const sig = emaSeries(line, 9);
+  return line.map((v, i) => ({ macd: i >= 25 ? v : null, signal: i >= 33 ? sig[i] : null, hist: i >= 33 && sig[i] != null ? v - sig[i] : null }));
+}
+
+const DEFAULT_INDICATOR_SPEC = {
+  sma: [20, 60],
+  ema: [12, 26],
+  boll: { period: 20, k: 2 },
+  atr: { period: 14 },
+  kdj: { n: 9, m1: 3, m2: 3 },
+  rsiWilder: { period: 14 },
+  vol: { period: 20 },
+  mdd: true,
+  high52w: true,
+};
+
+// Accepted range per numeric indicator param ([min, max, integer]); anything else falls back to the default.
+const INDICATOR_PARAM_RANGES = {
+  period: [2, 500, true],
+  n: [2, 500, true],
+  m1: [1, 100, true],
+  m2: [1, 100, true],
+  k: [0.1, 10, false],
+};
+
+/**
+ * Normalize the `indicators` request field:
+ * - "all"                          -> DEFAULT_INDICATOR_SPEC
+ * - ["boll", "atr", "sma5", ...]   -> those indicators with default params
+ * - { sma: [5, 10], boll: { period: 20, k: 2 }, atr: 14, mdd: true, ... }
+ * Unknown keys are ignored.
+ */
+function parseIndicatorSpec(raw) {
+  if (!raw) return null;
+  if (raw === "all") return { ...DEFAULT_INDICATOR_SPEC };
+
+  const spec = {};
+  const periods = (v) => (Array.isArray(v) ? v : [v]).map((x) => Math.floor(Number(x))).filter((x) => x >= 2 && x <= 500);
+  const field = (f, x, def) => {
+    const [lo, hi, int] = INDICATOR_PARAM_RANGES[f];
+    const n = int ? Math.floor(Number(x)) : Number(x);
+    return n >= lo && n <= hi ? n : def;
+  };
+  const param = (name, v) => {
+    const def = DEFAULT_INDICATOR_SPEC[name];
+    if (v === true || v == null) return def;
+    if (typeof def === "object" && typeof v === "number") {
+      // Shorthand sets the first declared param (period for most, n for kdj).
+      const [f] = Object.keys(def);
+      return { ...def, [f]: field(f, v, def[f]) };
+    }
+    if (typeof def === "object" && typeof v === "object") {
+      return Object.fromEntries(Object.entries(def).map(([f, d]) => [f, v[f] == null ? d : field(f, v[f], d)]));
+    }
+    return def;
+  };
+
+  const entries = Array.isArray(raw)
+    ? raw.map((x) => [String(x), true])
+    : Object.entries(raw && typeof raw === "object" ? raw : {});
+  for (const [key, v] of entries) {
+    const mm = key.match(/^(sma|ema)(\d+)$/i);
+    if (mm) {
+      const k = mm[1].toLowerCase();
+      spec[k] = (spec[k] || []).concat(periods(mm[2]));
+      continue;
+    }
+    if (key === "sma" || key === "ema") {
+      if (v === false) continue;
+      spec[key] = (spec[key] || []).concat(v === true ? DEFAULT_INDICATOR_SPEC[key] : periods(v));
+      continue;
+    }
+    if (!(key in DEFAULT_INDICATOR_SPEC) || v === false) continue;
+    spec[key] = param(key, v);
+  }
+  for (const k of ["sma", "ema"]) if (spec[k]) spec[k] = Array.from(new Set(spec[k])).sort((a, b) => a - b);
+  return spec;
+}
+
+// Bars of history an indicator spec needs (52-week high wants a full year).
+function indicatorLookback(spec) {
+  if (!spec) return 0;
+  const ps = [...(spec.sma || []), ...(spec.ema || [])];
+  if (spec.high52w) ps.push(ANNUALIZE_DAYS);
+  return ps.length ? Math.max(...ps) : 0;
+}
+
+function lastOf(arr) {
+  for (let i = arr.length - 1; i >= 0; i--) if (arr[i] != null) return arr[i];
+  return null;
+}
+
+function calcExtraIndicators(bars, spec, { withSeries = false, seriesLimit = 0 } = {}) {
+  const closes = bars.map((b) => b.close);
+  const out = {};
+  const cols = { date: bars.map((b) => b.date), close: closes };
+
+  for (const n of spec.sma || []) {
+    const s = smaSeries(closes, n);
+    out[`sma${n}`] = lastOf(s);
+    cols[`sma${n}`] = s;
+  }
+  for (const n of spec.ema || []) {
+    const s = emaSeries(closes, n);
+    out[`ema${n}`] = lastOf(s);
+    cols[`ema${n}`] = s;
+  }
+  if (spec.boll) {
+    const s = bollSeries(closes, spec.boll.period, spec.boll.k);
+    const b = s[s.length - 1];
+    Object.assign(out, {
+      bollMid: b?.mid ?? null,
+      bollUpper: b?.upper ?? null,
+      bollLower: b?.lower ?? null,
+      bollPctB: b?.pctB ?? null,
+      bollWidth: b?.width ?? null,
+    });
+    cols.bollMid = s.map((x) => x?.mid ?? null);
+    cols.bollUpper = s.map((x) => x?.upper ?? null);
+    cols.bollLower = s.map((x) => x?.lower ?? null);
+  }
+  if (spec.atr) {
+    const s = atrSeries(bars, spec.atr.period);
+    const a = s[s.length - 1];
+    out[`atr${spec.atr.period}`] = a;
+    out.atrPct = a != null && closes.length ? (a / closes[closes.length - 1]) * 100 : null;
+    cols[`atr${spec.atr.period}`] = s;
+  }
+  if (spec.kdj) {
+    const s = kdjSeries(bars, spec.kdj.n, spec.kdj.m1, spec.kdj.m2);
+    const v = s[s.length - 1];
+    Object.assign(out, { kdjK: v?.k ?? null, kdjD: v?.d ?? null, kdjJ: v?.j ?? null });
+    cols.kdjK = s.map((x) => x?.k ?? null);
+    cols.kdjD = s.map((x) => x?.d ?? null);
+    cols.kdjJ = s.map((x) => x?.j ?? null);
+  }
+  if (spec.rsiWilder) {
+    const s = rsiWilderSeries(closes, spec.rsiWilder.period);
+    out[`rsiWilder${spec.rsiWilder.period}`] = s[s.length - 1];
+    cols[`rsiWilder${spec.rsiWilder.period}`] = s;
+  }
+  if (spec.vol) {
+    const s = volSeries(closes, spec.vol.period);
+    out[`vol${spec.vol.period}`] = s[s.length - 1];
+    cols[`vol${spec.vol.period}`] = s;
+  }
+  if (spec.mdd) {
+    const s = drawdownSeries(closes);
+    out.maxDrawdown = s.length ? Math.min(...s.filter((x) => x != null)) : null;
+    out.drawdown = s[s.length - 1] ?? null;
+    cols.drawdown = s;
+  }
+  if (spec.high52w) {
+    // Uses whatever history is available, capped at 252 bars; high52wBars tells how much that was.
+    const w = bars.slice(-ANNUALIZE_DAYS);
+    const hi = w.length ? Math.max(...w.map((b) => b.high ?? b.close)) : null;
+    out.high52w = hi;
+    out.high52wBars = w.length;
+    out.dist52wHigh = hi ? ((closes[closes.length - 1] / hi) - 1) * 100 : null;
+  }
+
+  if (withSeries) {
+    const ms = macdSeries(closes);
+    cols.macd = ms.map((x) => x.macd);
+    cols.signal = ms.map((x) => x.signal);
+    cols.hist = ms.map((x) => x.hist);
+    cols.rsi14 = rsiSimpleSeries(closes, 14);
+    const lim = Math.floor(Number(seriesLimit));
+    out.series = lim > 0 ? Object.fromEntries(Object.entries(cols).map(([k, v]) => [k, v.slice(-lim)])) : cols;
+  }
+  return out;
+}
+/* =========================
+   Performance math (equity curves -> return/risk stats)
+========================= */
+function yearsBetween(d0, d1) {
+  return (new Date(d1).getTime() - new Date(d0).getTime()) / (365.25 * 24 * 60 * 60 * 1000);
+}
+
+function maxDrawdownPct(values) {
+  let peak = -Infinity, mdd = 0;
+  for (const v of values) {
+    peak = Math.max(peak, v);
+    if (peak > 0) mdd = Math.min(mdd, (v / peak - 1) * 100);
+  }
+  return mdd;
+}
+
+/**
+ * Stats for an equity curve [{date, equity}].
+ * Returns percents (totalReturn, cagr, maxDrawdown, vol) and an annualized Sharpe on daily returns.
+ */
+function perfStats(curve, { rf = 0 } = {}) {
+  const pts = (curve || []).filter((p) => p && p.equity > 0);
+  if (pts.length < 2) return { totalReturn: null, cagr: null, maxDrawdown: null, vol: null, sharpe: null };
+  const first = pts[0], last = pts[pts.length - 1];
+  const totalReturn = (last.equity / first.equity - 1) * 100;
+  const yrs = yearsBetween(first.date, last.date);
+  const cagr = yrs > 0 ? (Math.pow(last.equity / first.equity, 1 / yrs) - 1) * 100 : null;
+
+  const rets = [];
+  for (let i = 1; i < pts.length; i++) rets.push(pts[i].equity / pts[i - 1].equity - 1);
+  const sd = stdev(rets);
+  const mean = rets.reduce((s, x) => s + x, 0) / rets.length;
+  const dailyRf = rf / 100 / ANNUALIZE_DAYS;
+  return {
+    totalReturn,
+    cagr,
+    maxDrawdown: maxDrawdownPct(pts.map((p) => p.equity)),
+    vol: sd == null ? null : sd * Math.sqrt(ANNUALIZE_DAYS) * 100,
+    sharpe: sd ? ((mean - dailyRf) / sd) * Math.sqrt(ANNUALIZE_DAYS) : null,
+  };
+}
+
+/**
+ * XIRR: annualized internal rate of return (%) for dated cash flows [{date, amount}].
+ * Outflows negative, inflows positive. Newton first, bisection if it does not converge.
+ */
+function xirr(flows) {
+  const cf = (flows || []).filter((f) => f && isFinite(f.amount) && f.amount !== 0 && f.date);
+  if (!cf.some((f) => f.amount < 0) || !cf.some((f) => f.amount > 0)) return null;
+  const t0 = new Date(cf[0].date).getTime();
+  const yrs = cf.map((f) => (new Date(f.date).getTime() - t0) / (365.25 * 24 * 60 * 60 * 1000));
+  const npv = (r) => cf.reduce((s, f, i) => s + f.amount / Math.pow(1 + r, yrs[i]), 0);
+  const dnpv = (r) => cf.reduce((s, f, i) => s - (yrs[i] * f.amount) / Math.pow(1 + r, yrs[i] + 1), 0);
+
+  let r = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const v = npv(r), d = dnpv(r);
+    if (!isFinite(v) || !isFinite(d) || d === 0) break;
+    const next = r - v / d;
+    if (next <= -0.9999) break;
+    if (Math.abs(next - r) < 1e-9) return next * 100;
+    r = next;
+  }
+  let lo = -0.9999, hi = 10;
+  if (npv(lo) * npv(hi) > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    if (npv(lo) * npv(mid) <= 0) hi = mid;
+    else lo = mid;
+  }
+  return ((lo + hi) / 2) * 100;
 }
-function makeTags(ind) {
+
+function makeTags(ind, rel = null) {
   const tags = [];
   if (typeof ind.sma20 === "number" && typeof ind.sma60 === "number") {
     if (ind.sma20 > ind.sma60 * 1.002) tags.push("趋势上行");
@@ -186,15 +1086,24 @@ function makeTags(ind) {
     if (ind.hist > 0) tags.push("MACD偏强");
     else if (ind.hist < 0) tags.push("MACD偏弱");
   }
+  if (rel?.ok && typeof rel.rs20 === "number") {
+    if (rel.rs20 >= 2) tags.push("跑赢基准");
+    else if (rel.rs20 <= -2) tags.push("跑输基准");
+    else tags.push("与基准同步");
+  }
   return tags;
 }
-function scoreSector(ind) {
+// rankBy "rs": the momentum term uses 20-day relative strength vs the benchmark instead of raw ret20.
+function scoreSector(ind, { rel = null, rankBy = "" } = {}) {
   let s = 0;
   if (typeof ind.sma20 === "number" && typeof ind.sma60 === "number") {
     if (ind.sma20 > ind.sma60) s += 2;
     else s -= 2;
   }
-  if (typeof ind.ret20 === "number") {
+  if (rankBy === "rs" && rel?.ok && typeof rel.rs20 === "number") {
+    if (rel.rs20 >= 3) s += 2;
+    else if (rel.rs20 <= -3) s -= 2;
+  } else if (typeof ind.ret20 === "number") {
     if (ind.ret20 >= 6) s += 2;
     else if (ind.ret20 <= -6) s -= 2;
   }
@@ -213,20 +1122,13 @@ async function fetchCnFundJs(code) {
   if (!fund) return { ok: false, reason: "empty code" };
 
   const cacheKey = `cnfundjs:${fund}`;
-  const cached = cacheGet(cacheKey);
-  if (cached) return cached;
-
-  const url = `https://fund.eastmoney.com/pingzhongdata/${encodeURIComponent(fund)}.js?v=${Date.now()}`;
-  const r = await fetchWithTimeout(url, { timeoutMs: 25000 });
-  if (!r.ok) {
-    const data = { ok: false, reason: `eastmoney status=${r.status}` };
-    cacheSet(cacheKey, data, 2 * 60 * 1000);
-    return data;
-  }
-  const js = await r.text();
-  const data = { ok: true, fund, js };
-  cacheSet(cacheKey, data, 10 * 60 * 1000);
-  return data;
+  return cacheFetch(cacheKey, async () => {
+    const url = `https://fund.eastmoney.com/pingzhongdata/${encodeURIComponent(fund)}.js?v=${Date.now()}`;
+    const r = await fetchWithTimeout(url, { timeoutMs: 25000 });
+    if (!r.ok) return { ok: false, reason: `eastmoney status=${r.status}` };
+    const js = await r.text();
+    return { ok: true, fund, js };
+  }, { ttlMs: 10 * 60 * 1000, failTtlMs: 2 * 60 * 1000 });
 }
 
 async function fetchCnFundHistory(code, days = 200) {
@@ -234,33 +1136,41 @@ async function fetchCnFundHistory(code, days = 200) {
   if (!fund) return { ok: false, reason: "empty code" };
 
   const cacheKey = `cnfund:${fund}:${days}`;
-  const cached = cacheGet(cacheKey);
-  if (cached) return cached;
+  return cacheFetch(cacheKey, () => providerCall("CN", "history", fund, days), { ttlMs: 10 * 60 * 1000, failTtlMs: 2 * 60 * 1000 });
+}
 
+async function fetchCnFundHistoryEastmoney(fund, days = 200) {
   const jsRes = await fetchCnFundJs(fund);
-  if (!jsRes.ok) {
-    cacheSet(cacheKey, jsRes, 2 * 60 * 1000);
-    return jsRes;
-  }
+  if (!jsRes.ok) return jsRes;
   const js = jsRes.js;
 
   const m = js.match(/Data_netWorthTrend\s*=\s*(\[[\s\S]*?\]);/);
-  if (!m) {
-    const data = { ok: false, reason: "cannot find Data_netWorthTrend" };
-    cacheSet(cacheKey, data, 2 * 60 * 1000);
-    return data;
-  }
+  if (!m) return { ok: false, reason: "cannot find Data_netWorthTrend" };
 
   let arr = null;
   try {
     arr = JSON.parse(m[1]);
   } catch (e) {
-    const data = { ok: false, reason: "netWorthTrend json parse failed" };
-    cacheSet(cacheKey, data, 2 * 60 * 1000);
-    return data;
+    return { ok: false, reason: "netWorthTrend json parse failed" };
+  }
+
+  // Accumulated NAV (unit NAV + all cash paid out so far); optional.
+  const accByDate = new Map();
+  const ma = js.match(/Data_ACWorthTrend\s*=\s*(\[[\s\S]*?\]);/);
+  if (ma) {
+    try {
+      for (const it of JSON.parse(ma[1])) {
+        const t = Number(Array.isArray(it) ? it[0] : pick(it, ["x", "date"]));
+        const v = Number(Array.isArray(it) ? it[1] : pick(it, ["y", "value"]));
+        if (isFinite(t) && isFinite(v)) accByDate.set(new Date(t).toISOString().slice(0, 10), v);
+      }
+    } catch {
+      // accumulated NAV is a bonus; unit NAV alone still works
+    }
   }
 
   const series = [];
+  const marks = new Map(); // date -> unitMoney text (dividend / split note)
   for (const it of arr) {
     let t = null, v = null;
     if (Array.isArray(it) && it.length >= 2) {
@@ -269,15 +1179,74 @@ async function fetchCnFundHistory(code, days = 200) {
     } else if (it && typeof it === "object") {
       t = Number(pick(it, ["x", "date", "time"]));
       v = Number(pick(it, ["y", "value", "netWorth"]));
+      if (it.unitMoney) marks.set(new Date(t).toISOString().slice(0, 10), String(it.unitMoney));
     }
     if (!isFinite(t) || !isFinite(v)) continue;
-    series.push({ date: new Date(t).toISOString().slice(0, 10), close: v });
+    const date = new Date(t).toISOString().slice(0, 10);
+    const bar = { date, close: v };
+    if (accByDate.has(date)) bar.accNav = accByDate.get(date);
+    series.push(bar);
   }
 
+  // Fund NAV has no intraday range or volume: close-only, with a total-return adjClose.
+  const dividends = fundDistributionEvents(series, marks);
+  applyTotalReturnAdjustment(series, dividends);
   const trimmed = series.slice(-days);
-  const data = { ok: true, source: "eastmoney_pingzhongdata", series: trimmed };
-  cacheSet(cacheKey, data, 10 * 60 * 1000);
-  return data;
+  const from = trimmed.length ? trimmed[0].date : "";
+  return {
+    ok: true,
+    source: "eastmoney_pingzhongdata",
+    ...staleInfo(jsRes),
+    fields: ["close", "adjClose"],
+    closeOnly: true,
+    dividends: dividends.filter((d) => d.date >= from),
+    series: trimmed,
+  };
+}
+
+/**
+ * Dividend/split events for a CN fund, newest last:
+ * - from Data_netWorthTrend unitMoney notes ("分红：每份派现金0.0250元", "拆分：每份基金份额折算1.0123份")
+ * - else inferred from jumps in (accNav - nav), which only moves on cash payouts
+ */
+function fundDistributionEvents(series, marks) {
+  const events = [];
+  for (let i = 1; i < series.length; i++) {
+    const b = series[i], prev = series[i - 1];
+    const note = marks.get(b.date) || "";
+    const cash = note.match(/派现金\s*([\d.]+)\s*元/);
+    const split = note.match(/(?:折算|分拆|拆分)\s*([\d.]+)\s*份/);
+    if (cash && Number(cash[1]) > 0) {
+      events.push({ date: b.date, type: "dividend", cash: Number(cash[1]), note });
+      continue;
+    }
+    if (split && Number(split[1]) > 0) {
+      events.push({ date: b.date, type: "split", ratio: Number(split[1]), note });
+      continue;
+    }
+    if (b.accNav != null && prev.accNav != null) {
+      const paid = (b.accNav - b.close) - (prev.accNav - prev.close);
+      if (paid > 0.0005) events.push({ date: b.date, type: "dividend", cash: Number(paid.toFixed(4)), inferred: true });
+    }
+  }
+  return events;
+}
+
+// adjClose = unit NAV with every payout reinvested at the ex-date NAV (split ratios multiply shares),
+// scaled so the latest bar equals the latest unit NAV (same convention as Yahoo/AlphaVantage adjusted close).
+function applyTotalReturnAdjustment(series, events) {
+  const byDate = new Map(events.map((e) => [e.date, e]));
+  const factors = [];
+  let factor = 1;
+  for (const b of series) {
+    const e = byDate.get(b.date);
+    if (e?.type === "dividend" && b.close > 0) factor *= (b.close + e.cash) / b.close;
+    else if (e?.type === "split") factor *= e.ratio;
+    factors.push(factor);
+  }
+  series.forEach((b, i) => {
+    b.adjClose = (b.close * factors[i]) / factor;
+  });
 }
 
 
@@ -287,181 +1256,195 @@ async function fetchMarketHistoryYahoo(symbol, days = 180) {
   if (!sym) return { ok: false, reason: "empty symbol" };
 
   const cacheKey = `yahoo:${sym}:${days}`;
-  const cached = cacheGet(cacheKey);
-  if (cached) return cached;
-
-  // Yahoo Finance chart API (no key)
-  // Example: https://query1.finance.yahoo.com/v8/finance/chart/QQQ?range=1y&interval=1d
-  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(sym)}?range=1y&interval=1d&includeAdjustedClose=true`;
-  const r = await fetchWithTimeout(url, { timeoutMs: 20000, headers: { "User-Agent": "Mozilla/5.0" } });
-  if (!r.ok) {
-    const data = { ok: false, reason: `yahoo status=${r.status}` };
-    cacheSet(cacheKey, data, 60 * 1000);
-    return data;
-  }
-  const j = await r.json();
-  const result = j?.chart?.result?.[0];
-  const timestamps = result?.timestamp;
-  const closes = result?.indicators?.adjclose?.[0]?.adjclose || result?.indicators?.quote?.[0]?.close;
-
-  if (!Array.isArray(timestamps) || !Array.isArray(closes) || timestamps.length < 60) {
-    const data = { ok: false, reason: "yahoo parse failed", debug: j?.chart?.error || null };
-    cacheSet(cacheKey, data, 60 * 1000);
-    return data;
-  }
+  return cacheFetch(cacheKey, async () => {
+    // Yahoo Finance chart API (no key)
+    // Example: https://query1.finance.yahoo.com/v8/finance/chart/QQQ?range=1y&interval=1d
+    // Longer requests (backtests) widen the range; a year is ~250 trading days.
+    const range = days <= 250 ? "1y" : days <= 1250 ? "5y" : "max";
+    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(sym)}?range=${range}&interval=1d&includeAdjustedClose=true`;
+    const r = await fetchWithTimeout(url, { timeoutMs: 20000, headers: { "User-Agent": "Mozilla/5.0" } });
+    if (!r.ok) return { ok: false, reason: `yahoo status=${r.status}` };
+    const j = await r.json();
+    const result = j?.chart?.result?.[0];
+    const timestamps = result?.timestamp;
+    const q = result?.indicators?.quote?.[0] || {};
+    const adj = result?.indicators?.adjclose?.[0]?.adjclose || [];
+    const closes = Array.isArray(q.close) ? q.close : adj;
+
+    if (!Array.isArray(timestamps) || !Array.isArray(closes) || timestamps.length < 60) {
+      return { ok: false, reason: "yahoo parse failed", debug: j?.chart?.error || null };
+    }
 
-  const series = [];
-  for (let i = 0; i < timestamps.length; i++) {
-    const ts = timestamps[i];
-    const c = toNum(closes[i]);
-    if (!isFinite(ts) || c == null) continue;
-    const d = new Date(ts * 1000).toISOString().slice(0, 10);
-    series.push({ date: d, close: c });
-  }
+    const series = [];
+    for (let i = 0; i < timestamps.length; i++) {
+      const ts = timestamps[i];
+      const c = numOrNull(closes[i]) ?? numOrNull(adj[i]);
+      if (!isFinite(ts) || c == null) continue;
+      const d = new Date(ts * 1000).toISOString().slice(0, 10);
+      series.push(makeBar(d, { open: q.open?.[i], high: q.high?.[i], low: q.low?.[i], close: c, volume: q.volume?.[i], adjClose: adj[i] }));
+    }
 
-  if (series.length < 60) {
-    const data = { ok: false, reason: "yahoo insufficient history", count: series.length };
-    cacheSet(cacheKey, data, 60 * 1000);
-    return data;
-  }
+    if (series.length < 60) return { ok: false, reason: "yahoo insufficient history", count: series.length };
 
-  const trimmed = series.slice(-days);
-  const data = { ok: true, source: "yahoo", series: trimmed };
-  cacheSet(cacheKey, data, 10 * 60 * 1000);
-  return data;
+    const trimmed = series.slice(-days);
+    return { ok: true, source: "yahoo", ...seriesMeta(trimmed), series: trimmed };
+  }, { ttlMs: 10 * 60 * 1000, failTtlMs: 60 * 1000 });
 }
 
-async function fetchMarketHistoryStooq(symbol, days = 160) {
-  // Stooq free daily data, symbol format often like qqq.us (lowercase)
+async function fetchMarketHistoryStooq(symbol, days = 160, { suffix = ".us" } = {}) {
+  // Stooq free daily data, symbol format often like qqq.us (lowercase); FX pairs have no suffix (usdcny)
   const sym = normTicker(symbol);
   if (!sym) return { ok: false, reason: "empty symbol" };
 
-  const stooqSym = sym.toLowerCase() + ".us";
+  const stooqSym = sym.toLowerCase() + suffix;
   const cacheKey = `stooq:${stooqSym}:${days}`;
-  const cached = cacheGet(cacheKey);
-  if (cached) return cached;
+  return cacheFetch(cacheKey, async () => {
+    const url = `https://stooq.com/q/d/l/?s=${encodeURIComponent(stooqSym)}&i=d`;
+    const r = await fetchWithTimeout(url, { timeoutMs: 20000 });
+    if (!r.ok) return { ok: false, reason: `stooq status=${r.status}` };
+    const txt = await r.text();
+    // CSV: Date,Open,High,Low,Close,Volume
+    const lines = txt.trim().split(/\r?\n/);
+    if (lines.length < 20) return { ok: false, reason: "stooq insufficient data" };
+    const series = parseSeriesCsv(txt);
+    if (series.length < 60) return { ok: false, reason: "stooq insufficient history", count: series.length };
+    const trimmed = series.slice(-days);
+    return { ok: true, source: "stooq", ...seriesMeta(trimmed), series: trimmed };
+  }, { ttlMs: 10 * 60 * 1000, failTtlMs: 60 * 1000 });
+}
 
-  const url = `https://stooq.com/q/d/l/?s=${encodeURIComponent(stooqSym)}&i=d`;
-  const r = await fetchWithTimeout(url, { timeoutMs: 20000 });
-  if (!r.ok) {
-    const data = { ok: false, reason: `stooq status=${r.status}` };
-    cacheSet(cacheKey, data, 60 * 1000);
-    return data;
-  }
-  const txt = await r.text();
-  // CSV: Date,Open,High,Low,Close,Volume
-  const lines = txt.trim().split(/\r?\n/);
-  if (lines.length < 20) {
-    const data = { ok: false, reason: "stooq insufficient data" };
-    cacheSet(cacheKey, data, 60 * 1000);
-    return data;
-  }
-  const series = [];
-  for (let i = 1; i < lines.length; i++) {
-    const parts = lines[i].split(",");
-    if (parts.length < 5) continue;
-    const date = parts[0];
-    const close = toNum(parts[4]);
-    if (!date || close == null) continue;
-    series.push({ date, close });
-  }
-  if (series.length < 60) {
-    const data = { ok: false, reason: "stooq insufficient history", count: series.length };
-    cacheSet(cacheKey, data, 60 * 1000);
-    return data;
-  }
-  const trimmed = series.slice(-days);
-  const data = { ok: true, source: "stooq", series: trimmed };
-  cacheSet(cacheKey, data, 10 * 60 * 1000);
-  return data;
+// Exchange-traded history for a canonical code (QQQ, 600519.SH, 0700.HK); the market picks the provider chain.
+// full: the caller needs the whole `days` span (backtests, VaR), not a recent snapshot.
+async function fetchMarketHistory(symbol, days = 140, { full = false } = {}) {
+  const sym = normTicker(symbol);
+  if (!sym) return { ok: false, reason: "empty symbol" };
+
+  // Provider order (US default AlphaVantage -> Yahoo -> Stooq) lives in the registry below.
+  const cacheKey = `hist:${sym}:${days}${full ? ":full" : ""}`;
+  return cacheFetch(cacheKey, () => providerCall(marketOfCode(sym), "history", sym, Math.max(days, 160), { full }), { ttlMs: 10 * 60 * 1000, failTtlMs: 2 * 60 * 1000 });
 }
 
-async function fetchMarketHistory(symbol, days = 140) {
+async function fetchMarketHistoryAlphaVantage(symbol, days = 160, { full = false } = {}) {
   const sym = normTicker(symbol);
   if (!sym) return { ok: false, reason: "empty symbol" };
 
-  // Prefer cache
-  const cacheKey = `hist:${sym}:${days}`;
-  const cached = cacheGet(cacheKey);
-  if (cached) return cached;
+  // AlphaVantage daily adjusted; compact is the latest 100 bars. The full series (20+ years) only when the
+  // caller needs a long span: snapshots make do with compact.
+  const outputsize = full && days > 100 ? "full" : "compact";
+  const url = `https://www.alphavantage.co/query?function=TIME_SERIES_DAILY_ADJUSTED&symbol=${encodeURIComponent(sym)}&outputsize=${outputsize}&apikey=${encodeURIComponent(AV_KEY)}`;
+  const r = await fetchWithTimeout(url, { timeoutMs: 20000, headers: { "User-Agent": "Mozilla/5.0" } });
+  if (!r.ok) return { ok: false, reason: `alphavantage http ${r.status}` };
+  const j = await r.json();
 
-  // Helper: fallback chain
-  async function fallbackChain(reason) {
-    // Yahoo first (usually best coverage), then Stooq.
-    const yh = await fetchMarketHistoryYahoo(sym, Math.max(days, 160));
-    if (yh.ok) return yh;
-    const st = await fetchMarketHistoryStooq(sym, Math.max(days, 160));
-    if (st.ok) return st;
-    return { ok: false, reason: reason || "no data", debug: { yahoo: yh, stooq: st } };
-  }
+  const note = j?.Note || j?.Information;
+  if (note) return { ok: false, reason: "alphavantage rate limit / info", debug: note };
+
+  const ts = j?.["Time Series (Daily)"];
+  if (!ts || typeof ts !== "object") return { ok: false, reason: "alphavantage missing time series" };
 
-  // If no AlphaVantage key, go straight to fallback.
-  if (!AV_KEY) {
-    const fb = await fallbackChain("missing ALPHAVANTAGE_KEY");
-    cacheSet(cacheKey, fb, 2 * 60 * 1000);
-    return fb;
+  const series = [];
+  for (const [date, row] of Object.entries(ts)) {
+    const close = numOrNull(row?.["4. close"] ?? row?.["5. adjusted close"]);
+    if (!date || close == null) continue;
+    series.push(makeBar(date, {
+      open: row?.["1. open"],
+      high: row?.["2. high"],
+      low: row?.["3. low"],
+      close,
+      volume: row?.["6. volume"],
+      adjClose: row?.["5. adjusted close"],
+    }));
   }
+  series.sort((a, b) => a.date.localeCompare(b.date));
 
-  // AlphaVantage daily adjusted
-  const url = `https://www.alphavantage.co/query?function=TIME_SERIES_DAILY_ADJUSTED&symbol=${encodeURIComponent(sym)}&outputsize=compact&apikey=${encodeURIComponent(AV_KEY)}`;
-  try {
-    const r = await fetchWithTimeout(url, { timeoutMs: 20000, headers: { "User-Agent": "Mozilla/5.0" } });
-    if (!r.ok) {
-      const fb = await fallbackChain(`alphavantage http ${r.status}`);
-      cacheSet(cacheKey, fb, 2 * 60 * 1000);
-      return fb;
-    }
-    const j = await r.json();
+  if (series.length < 60) return { ok: false, reason: "alphavantage insufficient history", count: series.length };
 
-    const note = j?.Note || j?.Information;
-    if (note) {
-      const fb = await fallbackChain("alphavantage rate limit / info");
-      // If fallback works, use it; else return AV note for debugging.
-      if (fb.ok) {
-        cacheSet(cacheKey, fb, 2 * 60 * 1000);
-        return fb;
-      }
-      const data = { ok: false, reason: "alphavantage rate limit / info", debug: note };
-      cacheSet(cacheKey, data, 60 * 1000);
-      return data;
-    }
+  const trimmed = series.slice(-days);
+  return { ok: true, source: "alphavantage", ...seriesMeta(trimmed), series: trimmed };
+}
 
-    const ts = j?.["Time Series (Daily)"];
-    if (!ts || typeof ts !== "object") {
-      const fb = await fallbackChain("alphavantage missing time series");
-      cacheSet(cacheKey, fb, 2 * 60 * 1000);
-      return fb;
-    }
+/* ---- Eastmoney listed securities (A-share stocks/ETFs, HK stocks) ----
+   secid = <market>.<code>: 1 = Shanghai, 0 = Shenzhen/Beijing, 116 = HK (5-digit code)
+*/
+function eastmoneySecid(code) {
+  const m = String(code).match(/^(\d{6})\.(SH|SZ|BJ)$/);
+  if (m) return `${m[2] === "SH" ? 1 : 0}.${m[1]}`;
+  const hk = String(code).match(/^(\d{4,5})\.HK$/);
+  if (hk) return `116.${hk[1].padStart(5, "0")}`;
+  return null;
+}
+
+async function fetchEastmoneyKlines(secid, days, fqt) {
+  // fqt: 0 = raw prices, 1 = forward-adjusted (latest bar = latest price, earlier bars scaled for dividends/splits)
+  // Example: https://push2his.eastmoney.com/api/qt/stock/kline/get?secid=1.600519&klt=101&fqt=0&lmt=200&end=20500101&fields1=f1,f2,f3&fields2=f51,f52,f53,f54,f55,f56
+  const url = `https://push2his.eastmoney.com/api/qt/stock/kline/get?secid=${secid}&klt=101&fqt=${fqt}&lmt=${days}&end=20500101&fields1=f1,f2,f3&fields2=f51,f52,f53,f54,f55,f56`;
+  const r = await fetchWithTimeout(url, { timeoutMs: 20000, headers: { "User-Agent": "Mozilla/5.0" } });
+  if (!r.ok) return { ok: false, reason: `eastmoney kline status=${r.status}` };
+  const j = await r.json();
+  const klines = j?.data?.klines;
+  if (!Array.isArray(klines) || !klines.length) return { ok: false, reason: "eastmoney kline empty" };
+  // "date,open,close,high,low,volume"
+  const rows = klines.map((line) => String(line).split(","));
+  return { ok: true, name: j.data.name || "", rows };
+}
+
+async function fetchListedHistoryEastmoney(code, days = 200) {
+  const secid = eastmoneySecid(code);
+  if (!secid) return { ok: false, reason: "not an exchange code" };
+
+  const cacheKey = `emkline:${secid}:${days}`;
+  return cacheFetch(cacheKey, async () => {
+    const raw = await fetchEastmoneyKlines(secid, days, 0);
+    if (!raw.ok) return raw;
+    const adj = await fetchEastmoneyKlines(secid, days, 1);
+    const adjByDate = new Map(adj.ok ? adj.rows.map((x) => [x[0], x[2]]) : []);
 
     const series = [];
-    for (const [date, row] of Object.entries(ts)) {
-      const close = toNum(row?.["4. close"] ?? row?.["5. adjusted close"]);
-      if (!date || close == null) continue;
-      series.push({ date, close });
+    for (const [date, open, close, high, low, volume] of raw.rows) {
+      const c = numOrNull(close);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "") || c == null) continue;
+      series.push(makeBar(date, { open, high, low, close: c, volume, adjClose: adjByDate.get(date) }));
     }
-    series.sort((a, b) => a.date.localeCompare(b.date));
+    if (series.length < 60) return { ok: false, reason: "eastmoney insufficient history", count: series.length };
 
-    if (series.length < 60) {
-      const fb = await fallbackChain("alphavantage insufficient history");
-      cacheSet(cacheKey, fb, 2 * 60 * 1000);
-      return fb;
-    }
+    const trimmed = series.slice(-days);
+    return { ok: true, source: "eastmoney_kline", name: raw.name, ...seriesMeta(trimmed), series: trimmed };
+  }, { ttlMs: 10 * 60 * 1000, failTtlMs: 60 * 1000 });
+}
 
-    const trimmed = series.slice(-Math.max(days, 160));
-    const data = { ok: true, source: "alphavantage", series: trimmed };
-    cacheSet(cacheKey, data, 10 * 60 * 1000);
-    return data;
-  } catch (e) {
-    const fb = await fallbackChain(`alphavantage fetch error`);
-    cacheSet(cacheKey, fb, 2 * 60 * 1000);
-    return fb;
-  }
+async function fetchListedQuoteEastmoney(code) {
+  const secid = eastmoneySecid(code);
+  if (!secid) return { ok: false, reason: "not an exchange code" };
+
+  const cacheKey = `emquote:${secid}`;
+  return cacheFetch(cacheKey, async () => {
+    // fltt=2 returns decimal prices; f43 last, f58 name, f60 prev close, f86 update time (unix s), f170 change %
+    const url = `https://push2.eastmoney.com/api/qt/stock/get?secid=${secid}&fltt=2&fields=f43,f57,f58,f60,f86,f170`;
+    const r = await fetchWithTimeout(url, { timeoutMs: 15000, headers: { "User-Agent": "Mozilla/5.0" } });
+    if (!r.ok) return { ok: false, reason: `eastmoney quote status=${r.status}` };
+    const j = await r.json();
+    const d = j?.data;
+    if (!d) return { ok: false, reason: "eastmoney quote empty" };
+    // Suspended / pre-open: no last price yet, fall back to the previous close.
+    const price = numOrNull(d.f43) ?? numOrNull(d.f60);
+    if (price == null) return { ok: false, reason: "eastmoney quote has no price" };
+    const ts = numOrNull(d.f86);
+    return {
+      ok: true,
+      code,
+      name: String(d.f58 || "").trim(),
+      navDate: ts ? new Date(ts * 1000).toISOString().slice(0, 10) : "",
+      price,
+      changePct: numOrNull(d.f170),
+      source: "eastmoney_quote",
+    };
+  }, { ttlMs: 30 * 1000, failTtlMs: 30 * 1000 });
 }
 
 
 
 /* =========================
-   Quotes (CN realtime估值/净值 via fundgz; US price via AlphaVantage GLOBAL_QUOTE)
+   Quotes (CN fund realtime估值/净值 via fundgz; listed prices via the provider chain)
 ========================= */
 
 async function fetchCnFundOfficialNav(code, force=false) {
@@ -526,11 +1509,10 @@ async function fetchCnFundQuote(code, force=false) {
   if (!fund) return { ok: false, reason: "empty code" };
 
   const cacheKey = `fundquote:${fund}`;
-  if (!force) {
-    const cached = cacheGet(cacheKey);
-    if (cached) return cached;
-  }
+  return cacheFetch(cacheKey, () => providerCall("CN", "quote", fund, { force }), { ttlMs: 30 * 1000, failTtlMs: 30 * 1000, force });
+}
 
+async function loadCnFundQuote(fund, force) {
   // Output shape is stable for frontend:
   // - nav/navDate always tries to exist (official fallback)
   // - est/estTime may be null for some QDII
@@ -607,730 +1589,4812 @@ async function fetchCnFundQuote(code, force=false) {
 
   // Final: if we have nav, make it ok
   if (out.nav != null) out.ok = true;
+  if (!out.ok) out.reason = "fundgz and eastmoney f10 both unavailable";
 
-  cacheSet(cacheKey, out, 30 * 1000);
   return out;
 }
 
-async function fetchUsQuote(symbol) {
+async function fetchMarketQuote(symbol) {
   const sym = normTicker(symbol);
   if (!sym) return { ok: false, reason: "empty symbol" };
-  // 如果没有 AlphaVantage Key：先用 Yahoo（更全），再降级 Stooq
-  if (!AV_KEY) {
-    const yh = await fetchMarketHistoryYahoo(sym, days);
-    if (yh.ok) return yh;
-    return await fetchMarketHistoryStooq(sym, days);
-  }
+  // 默认顺序：US AlphaVantage（有 Key 时）→ Yahoo → Stooq；A股/港股 Eastmoney → Yahoo，见下方 provider registry
+  return providerCall(marketOfCode(sym), "quote", sym);
+}
 
+async function fetchUsQuoteAlphaVantage(sym) {
   const cacheKey = `avquote:${sym}`;
-  const cached = cacheGet(cacheKey);
-  if (cached) return cached;
-
-  const url = `https://www.alphavantage.co/query?function=GLOBAL_QUOTE&symbol=${encodeURIComponent(sym)}&apikey=${encodeURIComponent(AV_KEY)}`;
-  const r = await fetchWithTimeout(url, { timeoutMs: 15000 });
-  if (!r.ok) {
-    const data = { ok: false, reason: `alphavantage status=${r.status}` };
-    cacheSet(cacheKey, data, 60 * 1000);
-    return data;
-  }
-  const j = await r.json();
-  const note = j?.Note || j?.Information;
-  if (note) {
-    // 触发限流时：先用 Yahoo，再降级 Stooq
-    const yh = await fetchMarketHistoryYahoo(sym, days);
-    if (yh.ok) return yh;
-    const fb = await fetchMarketHistoryStooq(sym, days);
-    if (fb.ok) return fb;
-    const data = { ok: false, reason: "alphavantage rate limit / info", debug: note };
-    cacheSet(cacheKey, data, 60 * 1000);
-    return data;
-  }
-  const q = j["Global Quote"];
-  if (!q) {
-    const data = { ok: false, reason: "alphavantage missing Global Quote", debug: j };
-    cacheSet(cacheKey, data, 60 * 1000);
-    return data;
-  }
+  return cacheFetch(cacheKey, async () => {
+    const url = `https://www.alphavantage.co/query?function=GLOBAL_QUOTE&symbol=${encodeURIComponent(sym)}&apikey=${encodeURIComponent(AV_KEY)}`;
+    const r = await fetchWithTimeout(url, { timeoutMs: 15000 });
+    if (!r.ok) return { ok: false, reason: `alphavantage status=${r.status}` };
+    const j = await r.json();
+    const note = j?.Note || j?.Information;
+    if (note) return { ok: false, reason: "alphavantage rate limit / info", debug: note };
+    const q = j["Global Quote"];
+    if (!q) return { ok: false, reason: "alphavantage missing Global Quote", debug: j };
 
-  const data = {
-    ok: true,
-    code: sym,
-    name: "",
-    navDate: (q["07. latest trading day"] || "").trim(),
-    price: toNum(q["05. price"]),
-    changePct: toNum(String(q["10. change percent"] || "").replace("%","")),
-    source: "alphavantage",
-  };
-  cacheSet(cacheKey, data, 60 * 1000);
-  return data;
+    return {
+      ok: true,
+      code: sym,
+      name: "",
+      navDate: (q["07. latest trading day"] || "").trim(),
+      price: toNum(q["05. price"]),
+      changePct: toNum(String(q["10. change percent"] || "").replace("%","")),
+      source: "alphavantage",
+    };
+  }, { ttlMs: 60 * 1000, failTtlMs: 60 * 1000 });
 }
 
 /* =========================
-   Health
+   Names (CN: Eastmoney pingzhongdata; US: AlphaVantage SYMBOL_SEARCH)
 ========================= */
-app.get("/health", (req, res) => {
-  res.json({ ok: true, build: BUILD_ID, tz: TZ, av_key: AV_KEY ? "set" : "missing" });
-});
+async function fetchCnFundNameEastmoney(fund) {
+  const jsRes = await fetchCnFundJs(fund);
+  if (!jsRes.ok) return { ok: false, reason: jsRes.reason || "eastmoney fetch failed" };
+
+  const js = jsRes.js;
+  // Examples inside pingzhongdata: var fS_name="xxx"; var fS_fullname="xxx";
+  const name = (js.match(/fS_name\s*=\s*"([^"]+)"/)?.[1] || "").trim();
+  const fullname = (js.match(/fS_fullname\s*=\s*"([^"]+)"/)?.[1] || "").trim();
+  return { ok: true, code: fund, name: fullname || name || "", source: "eastmoney_pingzhongdata" };
+}
+
+async function fetchUsNameAlphaVantage(sym) {
+  const cacheKey = `avsearch:${sym}`;
+  const cached = cacheGet(cacheKey);
+  if (cached) return cached;
+
+  const url = `https://www.alphavantage.co/query?function=SYMBOL_SEARCH&keywords=${encodeURIComponent(sym)}&apikey=${encodeURIComponent(AV_KEY)}`;
+  const r = await fetchWithTimeout(url, { timeoutMs: 20000 });
+  if (!r.ok) return { ok: false, reason: `alphavantage status=${r.status}` };
+
+  const j = await r.json();
+  const best = Array.isArray(j?.bestMatches) ? j.bestMatches[0] : null;
+  const name = (best?.["2. name"] || best?.["1. symbol"] || "").trim();
+  if (!name) return { ok: false, reason: "alphavantage no match" };
+  const out = { ok: true, code: sym, name, source: "alphavantage" };
+  cacheSet(cacheKey, out, 6 * 60 * 60 * 1000);
+  return out;
+}
 
 /* =========================
-   Quote batch (for refresh NAV/price)
+   Fund profile (Eastmoney pingzhongdata)
+   The script is a run of `var X = <JSON>;` statements; fields that are missing or malformed come back null.
 ========================= */
-app.post("/api/quote/batch", async (req, res) => {
-  const positions = Array.isArray(req.body?.positions) ? req.body.positions : [];
-  const force = !!req.body?.force;
-  if (!positions.length) return res.status(400).json({ ok: false, error: "positions required" });
-
-  const items = [];
-  for (const p of positions) {
-    const type = String(p.type || "").trim();
-    const code = String(p.code || "").trim();
-    if (!code) continue;
 
-    const isCn = type === "CN_FUND" || /^\d{1,6}$/.test(code);
-    if (isCn) {
-      const q = await fetchCnFundQuote(code, force);
-      if (!q.ok) {
-        items.push({ ok: false, code: normFundCode(code), reason: q.reason || "cn quote failed" });
-      } else {
-        items.push(q);
+// Value of `var <name> = ...;` as JSON (strings, numbers, arrays, objects); null when absent or unparseable.
+function pzVar(js, name) {
+  const m = new RegExp(`var\\s+${name}\\s*=\\s*`).exec(js);
+  if (!m) return null;
+  let i = m.index + m[0].length;
+  const start = i;
+  const open = js[i];
+  if (open === "[" || open === "{") {
+    // Balanced scan; brackets inside strings do not count.
+    let depth = 0, inStr = false;
+    for (; i < js.length; i++) {
+      const ch = js[i];
+      if (inStr) {
+        if (ch === "\\") i++;
+        else if (ch === '"') inStr = false;
+      } else if (ch === '"') inStr = true;
+      else if (ch === "[" || ch === "{") depth++;
+      else if (ch === "]" || ch === "}") {
+        if (--depth === 0) break;
       }
-      continue;
-    }
-
-    const q = await fetchUsQuote(code);
-    if (!q.ok) {
-      items.push({ ok: false, code: normTicker(code), reason: q.reason || "us quote failed", debug: q.debug || null });
-    } else {
-      items.push(q);
     }
+    i++;
+  } else {
+    i = js.indexOf(";", i);
+    if (i < 0) i = js.length;
+  }
+  try {
+    return JSON.parse(js.slice(start, i).trim());
+  } catch {
+    return null;
   }
+}
 
-  res.json({ ok: true, build: BUILD_ID, items });
-});
+function pzDate(ts) {
+  const t = Number(ts);
+  return isFinite(t) && t > 0 ? new Date(t).toISOString().slice(0, 10) : null;
+}
 
-/* =========================
-   Meta resolve (NEW)
-========================= */
-app.post("/api/meta/resolve", async (req, res) => {
-  const type = String(req.body?.type || "").trim();
-  const codeRaw = String(req.body?.code || "").trim();
+// Percent text ("1.50%", "12.3", "--") -> number or null.
+function pzPct(x) {
+  return numOrNull(String(x ?? "").replace(/[%,\s]/g, "").replace(/^-+$/, ""));
+}
 
-  if (!codeRaw) return res.status(400).json({ ok: false, error: "code required" });
+// Eastmoney secid "1.600519" / "0.000001" / "116.00700" / "105.AAPL" -> canonical code + type.
+function instrumentFromSecid(secid) {
+  const [mkt, code] = String(secid || "").split(".");
+  if (!code) return null;
+  if (mkt === "1") return resolveInstrument(`${code}.SH`);
+  if (mkt === "0") return resolveInstrument(`${code}.${cnExchangeOf(code) === "BJ" ? "BJ" : "SZ"}`);
+  if (mkt === "116") return resolveInstrument(`${code}.HK`);
+  if (["105", "106", "107"].includes(mkt)) return resolveInstrument(code, "US_STOCK");
+  return null;
+}
 
-  // CN fund/ETF: from Eastmoney pingzhongdata
-  if (type === "CN_FUND" || /^\d{6}$/.test(codeRaw)) {
-    const code = normFundCode(codeRaw);
-    const jsRes = await fetchCnFundJs(code);
-    if (!jsRes.ok) return res.json({ ok: false, error: jsRes.reason || "eastmoney fetch failed" });
+// Highcharts-style { categories: [dates], series: [{ name, data: [...] }] } -> rows keyed by `keys[name]`.
+function pzDatedRows(chart, keys) {
+  const dates = Array.isArray(chart?.categories) ? chart.categories : [];
+  const series = Array.isArray(chart?.series) ? chart.series : [];
+  return dates.map((date, i) => {
+    const row = { date };
+    for (const s of series) {
+      const k = keys[s?.name];
+      if (k) row[k] = numOrNull(Array.isArray(s.data) ? (typeof s.data[i] === "object" ? s.data[i]?.y : s.data[i]) : null);
+    }
+    return row;
+  });
+}
 
-    const js = jsRes.js;
-    // Examples inside pingzhongdata: var fS_name="xxx"; var fS_fullname="xxx";
-    const name = (js.match(/fS_name\s*=\s*"([^"]+)"/)?.[1] || "").trim();
-    const fullname = (js.match(/fS_fullname\s*=\s*"([^"]+)"/)?.[1] || "").trim();
-    const out = fullname || name || "";
-    return res.json({ ok: true, code, name: out });
-  }
+function zipScores(power) {
+  const cats = Array.isArray(power?.categories) ? power.categories : [];
+  const data = Array.isArray(power?.data) ? power.data : [];
+  return cats.length ? Object.fromEntries(cats.map((c, i) => [c, numOrNull(data[i])])) : null;
+}
 
-  // US ticker: AlphaVantage SYMBOL_SEARCH if key set
-  const sym = normTicker(codeRaw);
-  if (!AV_KEY) return res.json({ ok: true, code: sym, name: "" });
+function parseFundProfile(fund, js) {
+  const name = (pzVar(js, "fS_name") || "").trim();
+  if (!name && !/Data_netWorthTrend/.test(js)) return { ok: false, reason: "not a pingzhongdata script" };
+
+  const managers = (pzVar(js, "Data_currentFundManager") || []).map((m) => ({
+    id: m?.id || null,
+    name: m?.name || "",
+    star: numOrNull(m?.star),
+    workTime: m?.workTime || "",
+    fundSize: m?.fundSize || "",
+    scores: zipScores(m?.power),
+  }));
+
+  const scaleChart = pzVar(js, "Data_fluctuationScale");
+  const scale = (scaleChart?.categories || []).map((date, i) => ({
+    date,
+    size: numOrNull(scaleChart.series?.[i]?.y), // 亿元
+    change: scaleChart.series?.[i]?.mom ?? null,
+  }));
+
+  const codesOf = (v) => (Array.isArray(v) ? v : String(v || "").split(",")).map((x) => String(x).trim()).filter(Boolean);
+  const holdings = codesOf(pzVar(js, "stockCodesNew")).map((secid) => {
+    const inst = instrumentFromSecid(secid);
+    return inst?.ok ? { code: inst.code, type: inst.type, secid } : { code: null, type: null, secid };
+  });
+  const bondHoldings = codesOf(pzVar(js, "zqCodesNew")).map((secid) => {
+    const [, code] = secid.split(".");
+    return { code: code || secid, secid };
+  });
 
-  const cacheKey = `avsearch:${sym}`;
-  const cached = cacheGet(cacheKey);
-  if (cached) return res.json(cached);
+  const perf = pzVar(js, "Data_performanceEvaluation");
+  const rankType = pzVar(js, "Data_rateInSimilarType") || [];
+  const rankPct = pzVar(js, "Data_rateInSimilarPersent") || [];
+  const lastRank = rankType[rankType.length - 1];
+  const lastPct = rankPct[rankPct.length - 1];
 
-  try {
-    const url = `https://www.alphavantage.co/query?function=SYMBOL_SEARCH&keywords=${encodeURIComponent(sym)}&apikey=${encodeURIComponent(AV_KEY)}`;
-    const r = await fetchWithTimeout(url, { timeoutMs: 20000 });
-    if (!r.ok) return res.json({ ok: true, code: sym, name: "" });
+  return {
+    ok: true,
+    code: fund,
+    name,
+    fees: {
+      sourceRate: pzPct(pzVar(js, "fund_sourceRate")), // 原申购费率 %
+      rate: pzPct(pzVar(js, "fund_Rate")), // 现申购费率 %（打折后）
+      minPurchase: numOrNull(pzVar(js, "fund_minsg")), // 最小申购金额（元）
+    },
+    returns: {
+      m1: pzPct(pzVar(js, "syl_1y")),
+      m3: pzPct(pzVar(js, "syl_3y")),
+      m6: pzPct(pzVar(js, "syl_6y")),
+      y1: pzPct(pzVar(js, "syl_1n")),
+    },
+    managers,
+    scale,
+    assetAllocation: pzDatedRows(pzVar(js, "Data_assetAllocation"), {
+      "股票占净比": "stockPct",
+      "债券占净比": "bondPct",
+      "现金占净比": "cashPct",
+      "净资产": "netAssets",
+    }),
+    holderStructure: pzDatedRows(pzVar(js, "Data_holderStructure"), {
+      "机构持有比例": "institutionalPct",
+      "个人持有比例": "individualPct",
+      "内部持有比例": "internalPct",
+    }),
+    holdings,
+    bondHoldings,
+    performance: perf ? { average: numOrNull(perf.avr), scores: zipScores(perf) } : null,
+    rank: lastRank || lastPct
+      ? {
+          date: pzDate(lastRank?.x ?? lastPct?.[0]),
+          rank: numOrNull(lastRank?.y),
+          total: numOrNull(lastRank?.sc),
+          percentile: numOrNull(Array.isArray(lastPct) ? lastPct[1] : null), // 同类排名百分比，越小越靠前
+        }
+      : null,
+    source: "eastmoney_pingzhongdata",
+  };
+}
 
-    const j = await r.json();
-    const best = Array.isArray(j?.bestMatches) ? j.bestMatches[0] : null;
-    const name = (best?.["2. name"] || best?.["1. symbol"] || "").trim();
-    const out = { ok: true, code: sym, name };
-    cacheSet(cacheKey, out, 6 * 60 * 60 * 1000);
-    return res.json(out);
-  } catch (e) {
-    return res.json({ ok: true, code: sym, name: "" });
-  }
-});
+async function fetchCnFundProfileEastmoney(fund) {
+  const jsRes = await fetchCnFundJs(fund);
+  if (!jsRes.ok) return { ok: false, reason: jsRes.reason || "eastmoney fetch failed" };
+  const profile = parseFundProfile(fund, jsRes.js);
+  return profile.ok ? { ...profile, ...staleInfo(jsRes) } : profile;
+}
 
 /* =========================
-   Tech indicators batch
+   Fund holdings (Eastmoney F10: top-10 stock holdings, industry allocation)
+   Disclosed quarterly; weights are % of fund NAV.
 ========================= */
-app.post("/api/tech/batch", async (req, res) => {
-  const positions = Array.isArray(req.body?.positions) ? req.body.positions : [];
-  if (!positions.length) return res.status(400).json({ ok: false, error: "positions required" });
+function htmlText(s) {
+  return String(s || "").replace(/<[^>]*>/g, "").replace(/&nbsp;/g, " ").trim();
+}
 
-  const items = [];
-  for (const p of positions) {
-    const type = String(p.type || "").trim();
-    const codeRaw = String(p.code || "").trim();
-    if (!codeRaw) continue;
-
-    const isCn = type === "CN_FUND" || /^\d{6}$/.test(codeRaw);
-    if (isCn) {
-      const fund = normFundCode(codeRaw);
-      const hist = await fetchCnFundHistory(fund, 200);
-      if (!hist.ok) {
-        items.push({ ok: false, code: fund, reason: hist.reason || "cn fund history failed", count: 0, debug: hist.debug || null });
-        continue;
-      }
-      const ind = calcIndicatorsFromSeries(hist.series);
-      if (ind.count < 60) {
-        items.push({ ok: false, code: fund, reason: "insufficient history", count: ind.count });
-        continue;
-      }
-      items.push({ ok: true, code: fund, source: hist.source, ...ind, tags: makeTags(ind) });
-      continue;
-    }
+// Holding cell code (+ quote link) -> canonical instrument; the link carries the Eastmoney secid when present.
+function holdingInstrument(codeText, cellHtml) {
+  const secid = String(cellHtml || "").match(/(?:\/r\/|secid=)(\d{1,3}\.[A-Za-z0-9]+)/)?.[1];
+  const bySecid = secid ? instrumentFromSecid(secid) : null;
+  if (bySecid?.ok) return bySecid;
+  const c = String(codeText || "").trim().toUpperCase();
+  if (/^\d{6}$/.test(c)) return resolveInstrument(`${c}.${cnExchangeOf(c)}`);
+  if (/^\d{4,5}$/.test(c)) return resolveInstrument(`${c}.HK`);
+  return resolveInstrument(c, "US_STOCK");
+}
 
-    const sym = normTicker(codeRaw);
-    const hist = await fetchMarketHistory(sym, 140);
-    if (!hist.ok) {
-      items.push({ ok: false, code: sym, reason: hist.reason || "market history failed", count: 0, debug: hist.debug || null });
-      continue;
-    }
-    const ind = calcIndicatorsFromSeries(hist.series);
-    if (ind.count < 60) {
-      items.push({ ok: false, code: sym, reason: "insufficient history", count: ind.count });
-      continue;
-    }
-    items.push({ ok: true, code: sym, source: hist.source, ...ind, tags: makeTags(ind) });
+// FundArchivesDatas jjcc: `var apidata={ content:"<div class='box'>...<table>...</table>...", ... }`; the first box is the latest quarter.
+function parseJjccHoldings(txt) {
+  const box = String(txt || "").split(/<div class='box'>/i)[1] || String(txt || "");
+  const table = box.match(/<table[\s\S]*?<\/table>/i)?.[0];
+  if (!table) return { ok: false, reason: "no holdings table" };
+  const date = box.match(/(\d{4}-\d{2}-\d{2})/)?.[1] || null;
+
+  const holdings = [];
+  for (const row of table.split(/<tr[^>]*>/i).slice(1)) {
+    const cells = Array.from(row.matchAll(/<td[^>]*>([\s\S]*?)<\/td>/gi)).map((m) => m[1]);
+    if (cells.length < 4) continue;
+    const weightCell = cells.map(htmlText).find((t) => /^\d+(\.\d+)?%$/.test(t));
+    const weightPct = weightCell ? Number(weightCell.slice(0, -1)) : null;
+    const inst = holdingInstrument(htmlText(cells[1]), cells[1] + cells[2]);
+    if (!inst.ok || weightPct == null) continue;
+    holdings.push({ code: inst.code, type: inst.type, name: htmlText(cells[2]), weightPct });
   }
+  if (!holdings.length) return { ok: false, reason: "holdings table empty" };
+  return { ok: true, date, holdings };
+}
 
-  res.json({ ok: true, build: BUILD_ID, items });
-});
+async function fetchCnFundTopHoldingsEastmoney(fund) {
+  const cacheKey = `emjjcc:${fund}`;
+  return cacheFetch(cacheKey, async () => {
+    // Example: https://fundf10.eastmoney.com/FundArchivesDatas.aspx?type=jjcc&code=000001&topline=10
+    const url = `https://fundf10.eastmoney.com/FundArchivesDatas.aspx?type=jjcc&code=${encodeURIComponent(fund)}&topline=10&year=&month=`;
+    const r = await fetchWithTimeout(url, { timeoutMs: 20000, headers: { Referer: "https://fundf10.eastmoney.com/" } });
+    if (!r.ok) return { ok: false, reason: `eastmoney jjcc status=${r.status}` };
+    return parseJjccHoldings(await r.text());
+  }, { ttlMs: 12 * 60 * 60 * 1000, failTtlMs: 5 * 60 * 1000 });
+}
+
+async function fetchCnFundIndustriesEastmoney(fund) {
+  const cacheKey = `emhypz:${fund}`;
+  return cacheFetch(cacheKey, async () => {
+    // {"Data":{"QuarterInfos":[{"JZRQ":"2026-06-30","HYPZInfo":[{"HYMC":"制造业","ZJZBL":"60.12",...}]}]}}
+    const url = `https://api.fund.eastmoney.com/f10/HYPZ/?fundCode=${encodeURIComponent(fund)}&year=`;
+    const r = await fetchWithTimeout(url, { timeoutMs: 20000, headers: { Referer: "https://fundf10.eastmoney.com/" } });
+    if (!r.ok) return { ok: false, reason: `eastmoney hypz status=${r.status}` };
+    const j = await r.json();
+    const q = j?.Data?.QuarterInfos?.[0];
+    const industries = (Array.isArray(q?.HYPZInfo) ? q.HYPZInfo : [])
+      .map((x) => ({ name: String(x?.HYMC || "").trim(), weightPct: pzPct(x?.ZJZBL) }))
+      .filter((x) => x.name && x.weightPct != null && x.weightPct > 0);
+    if (!industries.length) return { ok: false, reason: "eastmoney hypz empty" };
+    return { ok: true, date: q.JZRQ || null, industries };
+  }, { ttlMs: 12 * 60 * 60 * 1000, failTtlMs: 5 * 60 * 1000 });
+}
+
+// { ok, date, stockPct, holdings: [{code, type, name, weightPct}], industries: [{name, weightPct}], industryDate }
+// Top holdings are required; industry split and stock share of NAV are best-effort.
+async function fetchCnFundHoldingsEastmoney(fund) {
+  const top = await fetchCnFundTopHoldingsEastmoney(fund);
+  if (!top.ok) return top;
+  const [ind, profile] = await Promise.all([fetchCnFundIndustriesEastmoney(fund), fetchCnFundProfileEastmoney(fund)]);
+  const alloc = profile.ok ? profile.assetAllocation[profile.assetAllocation.length - 1] : null;
+  return {
+    ok: true,
+    code: fund,
+    name: profile.ok ? profile.name : "",
+    date: top.date,
+    stockPct: alloc?.stockPct ?? null,
+    holdings: top.holdings,
+    industries: ind.ok ? ind.industries : [],
+    industryDate: ind.ok ? ind.date : null,
+    source: "eastmoney_f10",
+    ...staleInfo(top),
+  };
+}
 
 /* =========================
-   Sector scan
+   Market-data provider registry
+   A provider is { id, markets, enabled?(), history?(code, days), quote?(code, opts), name?(code), profile?(code),
+   holdings?(code) };
+   every method returns the usual { ok, ... } shape. providerCall() walks the
+   per-market priority order and returns the first ok result.
+
+   Markets: CN (funds + A-share listed), HK, US, FX; codes arrive canonical (see resolveInstrument).
+   Each provider ignores codes it cannot serve (fund-only / listed-only) with a cheap ok:false.
+
+   Env:
+   - PROVIDERS_CN / PROVIDERS_HK / PROVIDERS_US / PROVIDERS_FX: comma-separated priority order
+   - FIXTURE_DIR: enables the fixture provider (placed first unless an order is given)
+   - FIXTURE_RECORD=1: save successful live histories into FIXTURE_DIR for later replay
+   - OFFLINE=1: fixture provider only, no network
 ========================= */
-app.post("/api/sector/scan", async (req, res) => {
-  const items = Array.isArray(req.body?.items) ? req.body.items : [];
-  if (!items.length) return res.status(400).json({ ok: false, error: "items required" });
+const FIXTURE_DIR = process.env.FIXTURE_DIR || "";
+const FIXTURE_RECORD = process.env.FIXTURE_RECORD === "1";
+const OFFLINE = process.env.OFFLINE === "1";
+const DEFAULT_PROVIDER_ORDER = {
+  CN: ["eastmoney", "eastmoney_listed", "yahoo"],
+  HK: ["eastmoney_listed", "yahoo"],
+  US: ["alphavantage", "yahoo", "stooq"],
+  FX: ["yahoo_fx", "stooq_fx"],
+};
+// Trading/pricing currency of each market; stamped on every history and quote.
+const MARKET_CURRENCY = { CN: "CNY", HK: "HKD", US: "USD" };
 
-  const out = [];
-  for (const it of items) {
-    const theme = it.theme || "未分类";
-    const market = String(it.market || it.type || "").trim();
-    let symbol = String(it.symbol || it.code || "").trim();
-    const name = it.name || null;
-    if (!symbol) continue;
-
-    const isCn = market === "CN" || market === "CN_FUND" || /^\d{6}$/.test(symbol);
-    if (isCn) {
-      const code = normFundCode(symbol);
-      const hist = await fetchCnFundHistory(code, 220);
-      if (!hist.ok) {
-        out.push({ ok: false, theme, market: "CN", symbol: code, name, reason: hist.reason || "cn fund history failed", count: 0, debug: hist.debug || null });
-        continue;
-      }
-      const ind = calcIndicatorsFromSeries(hist.series);
-      if (ind.count < 60) {
-        out.push({ ok: false, theme, market: "CN", symbol: code, name, reason: "insufficient history", count: ind.count });
-        continue;
-      }
-      out.push({
-        ok: true,
-        theme,
-        market: "CN",
-        symbol: code,
-        name,
-        source: hist.source,
-        ...ind,
-        score: scoreSector(ind),
-        tags: makeTags(ind),
-      });
-      continue;
-    }
+const PROVIDERS = new Map();
+function registerProvider(provider) {
+  PROVIDERS.set(provider.id, provider);
+}
 
-    const sym = normTicker(symbol);
-    const hist = await fetchMarketHistory(sym, 160);
-    if (!hist.ok) {
-      out.push({ ok: false, theme, market: "US", symbol: sym, name, reason: hist.reason || "market history failed", count: 0, debug: hist.debug || null });
+function providerOrder(market) {
+  if (OFFLINE) return ["fixture"];
+  const env = process.env[`PROVIDERS_${market}`];
+  if (env) return env.split(",").map((x) => x.trim()).filter(Boolean);
+  const base = DEFAULT_PROVIDER_ORDER[market] || [];
+  return FIXTURE_DIR ? ["fixture", ...base] : base;
+}
+
+async function providerCall(market, method, code, ...args) {
+  const debug = {};
+  for (const id of providerOrder(market)) {
+    const p = PROVIDERS.get(id);
+    if (!p || typeof p[method] !== "function") continue;
+    if (p.markets && !p.markets.includes(market)) continue;
+    if (p.enabled && !p.enabled()) {
+      debug[id] = { ok: false, reason: "disabled" };
       continue;
     }
-    const ind = calcIndicatorsFromSeries(hist.series);
-    if (ind.count < 60) {
-      out.push({ ok: false, theme, market: "US", symbol: sym, name, reason: "insufficient history", count: ind.count });
-      continue;
+    let r;
+    try {
+      r = await p[method](code, ...args);
+    } catch (e) {
+      r = { ok: false, reason: e?.name === "AbortError" ? `${id} timeout` : (e?.message || String(e)) };
+    }
+    if (r?.ok) {
+      if (FIXTURE_RECORD && method === "history" && id !== "fixture") saveFixture(market, code, r);
+      if (MARKET_CURRENCY[market] && !r.currency && method !== "name") return { ...r, currency: MARKET_CURRENCY[market] };
+      return r;
     }
-    out.push({
+    debug[id] = r || { ok: false, reason: "empty result" };
+  }
+  const reason = Object.entries(debug).map(([id, r]) => `${id}: ${r?.reason || "failed"}`).join("; ");
+  return { ok: false, reason: reason || `no ${method} provider for ${market}`, debug };
+}
+
+// Quote derived from the last two bars of a history (Yahoo/Stooq/fixture have no quote endpoint here).
+function quoteFromHistory(market, code, hist, name = "") {
+  const s = hist.series || [];
+  const last = s[s.length - 1];
+  const prev = s[s.length - 2];
+  if (!last) return { ok: false, reason: "empty history" };
+  const changePct = prev && prev.close ? ((last.close / prev.close) - 1) * 100 : null;
+  if (market === "CN" && isFundCode(code)) {
+    return {
       ok: true,
-      theme,
-      market: "US",
-      symbol: sym,
-      name,
+      code,
       source: hist.source,
-      ...ind,
-      score: scoreSector(ind),
-      tags: makeTags(ind),
-    });
+      name,
+      navDate: last.date,
+      nav: last.close,
+      est: null,
+      estChangePct: null,
+      estTime: "",
+      officialNav: null,
+      officialNavDate: "",
+      officialSource: "",
+      ...staleInfo(hist),
+    };
   }
+  return { ok: true, code, name, navDate: last.date, price: last.close, changePct, source: hist.source, ...staleInfo(hist) };
+}
+
+// Canonical CN fund codes are bare six digits; listed A-shares carry an exchange suffix.
+function isFundCode(code) {
+  return /^\d{6}$/.test(String(code));
+}
 
-  res.json({ ok: true, build: BUILD_ID, items: out });
+const NOT_A_FUND = { ok: false, reason: "not a fund code" };
+const NOT_LISTED = { ok: false, reason: "not an exchange code" };
+
+registerProvider({
+  id: "eastmoney",
+  markets: ["CN"],
+  history: (fund, days) => (isFundCode(fund) ? fetchCnFundHistoryEastmoney(fund, days) : NOT_A_FUND),
+  quote: (fund, opts = {}) => (isFundCode(fund) ? loadCnFundQuote(fund, !!opts.force) : NOT_A_FUND),
+  name: (fund) => (isFundCode(fund) ? fetchCnFundNameEastmoney(fund) : NOT_A_FUND),
+  profile: (fund) => (isFundCode(fund) ? fetchCnFundProfileEastmoney(fund) : NOT_A_FUND),
+  holdings: (fund) => (isFundCode(fund) ? fetchCnFundHoldingsEastmoney(fund) : NOT_A_FUND),
 });
 
-/* =========================
-   Risk check
-========================= */
-app.post("/api/risk/check", async (req, res) => {
-  const positions = Array.isArray(req.body?.positions) ? req.body.positions : [];
-  if (!positions.length) return res.status(400).json({ ok: false, error: "positions required" });
+registerProvider({
+  id: "eastmoney_listed",
+  markets: ["CN", "HK"],
+  history: (code, days) => fetchListedHistoryEastmoney(code, days),
+  quote: (code) => fetchListedQuoteEastmoney(code),
+  name: async (code) => {
+    const q = await fetchListedQuoteEastmoney(code);
+    if (!q.ok) return q;
+    return q.name ? { ok: true, code, name: q.name, source: q.source } : { ok: false, reason: "eastmoney quote has no name" };
+  },
+});
 
-  const cleaned = positions
-    .map((p) => ({
-      code: String(p.code || "").trim(),
-      name: p.name || null,
-      mv: Number(p.mv ?? p.amount ?? 0),
-      type: String(p.type || "").trim(),
-    }))
-    .filter((p) => p.code && isFinite(p.mv) && p.mv > 0);
+registerProvider({
+  id: "alphavantage",
+  markets: ["US"],
+  enabled: () => !!AV_KEY,
+  history: (sym, days, opts) => fetchMarketHistoryAlphaVantage(sym, days, opts),
+  quote: (sym) => fetchUsQuoteAlphaVantage(sym),
+  name: (sym) => fetchUsNameAlphaVantage(sym),
+});
 
-  const total = cleaned.reduce((s, p) => s + p.mv, 0);
-  if (total <= 0) {
-    return res.json({ ok: true, build: BUILD_ID, riskLevel: "未知", summary: "持仓市值为0", suggestTotalPct: 0, details: [] });
-  }
+// Canonical code -> Yahoo symbol: Shanghai is .SS there; Beijing and off-exchange funds are not covered.
+function yahooSymbol(code) {
+  const c = String(code);
+  if (isFundCode(c) || c.endsWith(".BJ")) return null;
+  return c.replace(/\.SH$/, ".SS");
+}
 
-  const weights = cleaned.map((p) => p.mv / total).sort((a, b) => b - a);
-  const maxW = weights[0] || 0;
-  const hhi = weights.reduce((s, w) => s + w * w, 0);
+registerProvider({
+  id: "yahoo",
+  markets: ["US", "CN", "HK"],
+  history: (sym, days) => (yahooSymbol(sym) ? fetchMarketHistoryYahoo(yahooSymbol(sym), days) : NOT_LISTED),
+  quote: async (sym) => {
+    if (!yahooSymbol(sym)) return NOT_LISTED;
+    const h = await fetchMarketHistoryYahoo(yahooSymbol(sym), 180);
+    return h.ok ? quoteFromHistory(marketOfCode(sym), sym, h) : h;
+  },
+});
 
-  let riskLevel = "中";
-  if (maxW >= 0.55 || hhi >= 0.28) riskLevel = "极高";
-  else if (maxW >= 0.40 || hhi >= 0.22) riskLevel = "高";
-  else if (maxW <= 0.22 && hhi <= 0.14) riskLevel = "低";
+registerProvider({
+  id: "stooq",
+  markets: ["US"],
+  history: (sym, days) => fetchMarketHistoryStooq(sym, days),
+  quote: async (sym) => {
+    const h = await fetchMarketHistoryStooq(sym, 160);
+    return h.ok ? quoteFromHistory("US", sym, h) : h;
+  },
+});
 
-  let suggestTotalPct = 70;
-  if (riskLevel === "极高") suggestTotalPct = 40;
-  else if (riskLevel === "高") suggestTotalPct = 55;
-  else if (riskLevel === "中") suggestTotalPct = 70;
-  else if (riskLevel === "低") suggestTotalPct = 85;
+/* ---- Fixture provider: replays saved CSV/JSON from FIXTURE_DIR ----
+   Layout: FIXTURE_DIR/<market>/<code>.json | <code>.csv
+   - JSON: [{date, close, open?, high?, low?, volume?, adjClose?}, ...] or { name, series: [...], quote: {...} }
+   - CSV:  header row with Date and Close columns; Open/High/Low/Volume/Adj Close are picked up when present
+     (Stooq/Yahoo exports work as-is)
+   - JS:   a saved pingzhongdata script (CN funds), replayed through the fund profile parser
+   - <code>.holdings.json: { date, stockPct, holdings: [{code, type, name, weightPct}], industries: [{name, weightPct}] }
+*/
+function fixtureFile(market, code, ext) {
+  return path.join(FIXTURE_DIR, market, `${String(code).replace(/[^\w.-]/g, "_")}.${ext}`);
+}
 
-  const details = [];
-  details.push(`最大单一持仓占比：${(maxW * 100).toFixed(1)}%`);
-  details.push(`集中度(HHI)：${hhi.toFixed(3)}`);
-  if (maxW >= 0.40) details.push("集中度偏高：建议分散到更多不高度同向的资产/主题");
-  if (cleaned.length <= 3) details.push("持仓数量偏少：波动可能更大，注意单一事件风险");
+function parseSeriesCsv(txt) {
+  const lines = String(txt || "").trim().split(/\r?\n/);
+  const header = (lines[0] || "").split(",").map((x) => x.trim().toLowerCase());
+  const col = (...names) => header.findIndex((h) => names.includes(h));
+  const iDate = col("date", "日期");
+  const iAdj = col("adj close", "adjclose", "adj_close", "累计净值");
+  let iClose = col("close", "收盘", "单位净值");
+  if (iClose < 0) iClose = iAdj;
+  if (iDate < 0 || iClose < 0) return [];
+  const iOpen = col("open", "开盘");
+  const iHigh = col("high", "最高");
+  const iLow = col("low", "最低");
+  const iVol = col("volume", "成交量");
+  const at = (parts, i) => (i >= 0 ? parts[i] : null);
 
-  const summary =
-    riskLevel === "极高" ? "集中度非常高：优先控制仓位与分散风险" :
-    riskLevel === "高"   ? "集中度偏高：建议分批、设置止损/回撤阈值" :
-    riskLevel === "中"   ? "集中度中等：注意相关性与单一主题暴露" :
-                           "集中度较低：注意不要为了分散而分散，仍需看质量与相关性";
+  const series = [];
+  for (let i = 1; i < lines.length; i++) {
+    const parts = lines[i].split(",");
+    const date = String(parts[iDate] || "").trim();
+    const close = numOrNull(parts[iClose]);
+    if (!date || close == null) continue;
+    series.push(makeBar(date, {
+      open: at(parts, iOpen),
+      high: at(parts, iHigh),
+      low: at(parts, iLow),
+      close,
+      volume: at(parts, iVol),
+      adjClose: iAdj !== iClose ? at(parts, iAdj) : null,
+    }));
+  }
+  return series.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+async function readFixture(market, code) {
+  let data = null;
+  try {
+    const j = JSON.parse(await fs.promises.readFile(fixtureFile(market, code, "json"), "utf8"));
+    const series = Array.isArray(j) ? j : (j?.series || []);
+    data = { ok: true, name: (j?.name || "").trim(), quote: j?.quote || null, series };
+  } catch (e) {
+    if (e?.code !== "ENOENT") return { ok: false, reason: `fixture json: ${e?.message || e}` };
+  }
+  if (!data) {
+    try {
+      const txt = await fs.promises.readFile(fixtureFile(market, code, "csv"), "utf8");
+      data = { ok: true, name: "", quote: null, series: parseSeriesCsv(txt) };
+    } catch (e) {
+      return { ok: false, reason: e?.code === "ENOENT" ? "no fixture" : `fixture csv: ${e?.message || e}` };
+    }
+  }
+  const bars = data.series
+    .map((x) => makeBar(String(x?.date || "").slice(0, 10), { ...x, close: numOrNull(x?.close) }))
+    .filter((x) => x.date && x.close != null);
+  if (!bars.length) return { ok: false, reason: "fixture has no rows" };
+  const meta = seriesMeta(bars);
+  data.series = meta.closeOnly
+    ? bars.map((b) => (b.adjClose == null ? { date: b.date, close: b.close } : { date: b.date, close: b.close, adjClose: b.adjClose }))
+    : bars;
+  return data;
+}
 
-  res.json({ ok: true, build: BUILD_ID, riskLevel, suggestTotalPct, summary, details });
+function saveFixture(market, code, hist) {
+  const file = fixtureFile(market, code, "json");
+  const body = { market, code, source: hist.source, savedAt: new Date().toISOString(), series: hist.series };
+  fs.promises.mkdir(path.dirname(file), { recursive: true })
+    .then(() => fs.promises.writeFile(file, JSON.stringify(body)))
+    .catch((e) => console.error(`[FIXTURE] save failed file=${file}`, e?.message || e));
+}
+
+registerProvider({
+  id: "fixture",
+  markets: ["CN", "HK", "US", "FX"],
+  enabled: () => !!FIXTURE_DIR,
+  history: async (code, days) => {
+    const fx = await readFixture(marketOfCode(code), code);
+    if (!fx.ok) return fx;
+    const series = fx.series.slice(-days);
+    return { ok: true, source: "fixture", ...seriesMeta(series), series };
+  },
+  quote: async (code) => {
+    const market = marketOfCode(code);
+    const fx = await readFixture(market, code);
+    if (!fx.ok) return fx;
+    if (fx.quote) return { ok: true, code, name: fx.name, source: "fixture", ...fx.quote };
+    return quoteFromHistory(market, code, { source: "fixture", series: fx.series }, fx.name);
+  },
+  name: async (code) => {
+    const fx = await readFixture(marketOfCode(code), code);
+    if (!fx.ok) return fx;
+    if (!fx.name) return { ok: false, reason: "fixture has no name" };
+    return { ok: true, code, name: fx.name, source: "fixture" };
+  },
+  profile: async (code) => {
+    try {
+      const js = await fs.promises.readFile(fixtureFile(marketOfCode(code), code, "js"), "utf8");
+      return { ...parseFundProfile(code, js), source: "fixture" };
+    } catch (e) {
+      return { ok: false, reason: e?.code === "ENOENT" ? "no fixture" : `fixture js: ${e?.message || e}` };
+    }
+  },
+  holdings: async (code) => {
+    try {
+      const j = JSON.parse(await fs.promises.readFile(fixtureFile(marketOfCode(code), code, "holdings.json"), "utf8"));
+      return { ok: true, code, stockPct: null, industries: [], ...j, source: "fixture" };
+    } catch (e) {
+      return { ok: false, reason: e?.code === "ENOENT" ? "no fixture" : `fixture holdings: ${e?.message || e}` };
+    }
+  },
 });
 
+// Codes reach providers already normalized: six digits (+ .SH/.SZ/.BJ) = CN, .HK = HK, a pair of known
+// currencies = FX, anything else = US ticker.
+function marketOfCode(code) {
+  const c = String(code);
+  if (/^\d{6}(\.(SH|SZ|BJ))?$/.test(c)) return "CN";
+  if (/^\d{4,5}\.HK$/.test(c)) return "HK";
+  if (/^[A-Z]{6}$/.test(c) && FX_CURRENCIES.includes(c.slice(0, 3)) && FX_CURRENCIES.includes(c.slice(3))) return "FX";
+  return "US";
+}
+
 /* =========================
-   News RSS (CN + US) with fallback
+   FX rates (USD/CNY, HKD/CNY, ...)
+   Pairs are "USDCNY" = CNY per 1 USD. Yahoo (USDCNY=X) then Stooq (usdcny), fixtures under FIXTURE_DIR/FX,
+   and FX_RATES="USDCNY=7.2,HKDCNY=0.92" as a last-resort static fallback.
 ========================= */
-const RSS_PRESETS = {
-  us: [
-    // English (US) - market/macro, generally accessible
-    "https://news.google.com/rss/headlines/section/topic/BUSINESS?hl=en-US&gl=US&ceid=US:en",
-    "https://www.investing.com/rss/news_25.rss",
-    "https://www.investing.com/rss/news_301.rss",
-    "https://www.fxstreet.com/rss/news",
-    "https://www.nasdaq.com/feed/rssoutbound?category=Markets",
-  ],
-  // CN preset: Sina Finance RSS endpoints (stable public RSS)
-  // Sources: rss.sina.com.cn provides finance RSS feeds.
-  cn: [
-    // Chinese (CN) - high update frequency
-    "https://news.google.com/rss/headlines/section/topic/BUSINESS?hl=zh-CN&gl=CN&ceid=CN:zh-Hans",
-    "https://rss.sina.com.cn/roll/finance/hot_roll.xml",
-    "http://rss.sina.com.cn/finance/stock.xml",
-    "http://rss.sina.com.cn/finance/fund.xml",
-    "http://rss.sina.com.cn/finance/industry.xml",
-    "http://www.xinhuanet.com/finance/news_finance.xml",
-  ],
-      mixed: [
-    // English (4) - more China-friendly (often accessible) market/macro feeds
-    "https://news.google.com/rss/headlines/section/topic/BUSINESS?hl=en-US&gl=US&ceid=US:en",
-    "https://www.investing.com/rss/news_25.rss",
-    "https://www.fxstreet.com/rss/news",
-    "https://www.nasdaq.com/feed/rssoutbound?category=Markets",
-    // Chinese (4) - domestic policy & market coverage
-    "https://news.google.com/rss/headlines/section/topic/BUSINESS?hl=zh-CN&gl=CN&ceid=CN:zh-Hans",
-    "https://rss.sina.com.cn/roll/finance/hot_roll.xml",
-    "http://rss.sina.com.cn/finance/stock.xml",
-    "http://www.xinhuanet.com/finance/news_finance.xml",
-  ],
-};
+const FX_CURRENCIES = ["CNY", "USD", "HKD", "EUR", "JPY", "GBP"];
+const FX_STATIC = Object.fromEntries(
+  String(process.env.FX_RATES || "")
+    .split(",")
+    .map((x) => x.split("=").map((y) => y.trim().toUpperCase()))
+    .filter(([k, v]) => /^[A-Z]{6}$/.test(k || "") && Number(v) > 0)
+    .map(([k, v]) => [k, Number(v)]),
+);
+
+function normCurrency(c) {
+  const s = String(c || "").trim().toUpperCase();
+  return FX_CURRENCIES.includes(s) ? s : "";
+}
 
-function normalizeText(s) {
-  return String(s || "")
-    .replace(/<!\[CDATA\[/g, "")
-    .replace(/\]\]>/g, "")
-    .replace(/<[^>]+>/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
+registerProvider({
+  id: "yahoo_fx",
+  markets: ["FX"],
+  history: (pair, days) => fetchMarketHistoryYahoo(`${pair}=X`, days),
+});
+
+registerProvider({
+  id: "stooq_fx",
+  markets: ["FX"],
+  history: (pair, days) => fetchMarketHistoryStooq(pair, days, { suffix: "" }),
+});
+
+async function fetchFxHistory(pair, days = 260) {
+  const p = normTicker(pair);
+  const cacheKey = `fx:${p}:${days}`;
+  return cacheFetch(cacheKey, () => providerCall("FX", "history", p, days), { ttlMs: 60 * 60 * 1000, failTtlMs: 5 * 60 * 1000 });
 }
-function splitKeywords(s) {
-  return String(s || "")
-    .split(/[,，\n]+/)
-    .map((x) => x.trim())
-    .filter(Boolean);
+
+/**
+ * Daily rate history for from->to (units of `to` per 1 `from`), trying the direct pair, then the inverse.
+ * Returns { ok, pair, inverted, series: [{date, close}] } with closes already oriented from->to.
+ */
+async function fxSeries(from, to, days = 260) {
+  const f = normCurrency(from), t = normCurrency(to);
+  if (!f || !t) return { ok: false, reason: `unsupported currency ${from}/${to}` };
+  if (f === t) return { ok: true, pair: `${f}${t}`, identity: true, series: [] };
+
+  const direct = await fetchFxHistory(`${f}${t}`, days);
+  if (direct.ok) return { ok: true, pair: `${f}${t}`, source: direct.source, ...staleInfo(direct), series: direct.series.map((b) => ({ date: b.date, close: b.close })) };
+  const inv = await fetchFxHistory(`${t}${f}`, days);
+  if (inv.ok) {
+    return {
+      ok: true,
+      pair: `${f}${t}`,
+      inverted: true,
+      source: inv.source,
+      ...staleInfo(inv),
+      series: inv.series.filter((b) => b.close > 0).map((b) => ({ date: b.date, close: 1 / b.close })),
+    };
+  }
+  return { ok: false, reason: `fx ${f}${t}: ${direct.reason}; ${t}${f}: ${inv.reason}`, debug: { direct, inverse: inv } };
 }
-function includesAny(text, kws) {
-  if (!kws.length) return false;
-  const t = text.toLowerCase();
-  return kws.some((k) => t.includes(k));
+
+// Latest rate (units of `to` per 1 `from`), falling back to FX_RATES.
+async function fxRate(from, to) {
+  const f = normCurrency(from), t = normCurrency(to);
+  if (!f || !t) return { ok: false, reason: `unsupported currency ${from}/${to}` };
+  if (f === t) return { ok: true, pair: `${f}${t}`, rate: 1, date: null, source: "identity" };
+
+  const fx = await fxSeries(f, t, 30);
+  const last = fx.ok ? fx.series[fx.series.length - 1] : null;
+  if (last) return { ok: true, pair: `${f}${t}`, rate: last.close, date: last.date, source: fx.source, ...staleInfo(fx) };
+  if (FX_STATIC[`${f}${t}`]) return { ok: true, pair: `${f}${t}`, rate: FX_STATIC[`${f}${t}`], date: null, source: "static" };
+  if (FX_STATIC[`${t}${f}`]) return { ok: true, pair: `${f}${t}`, rate: 1 / FX_STATIC[`${t}${f}`], date: null, source: "static" };
+  return { ok: false, reason: fx.reason || "no fx rate" };
 }
 
-// --- News date helpers (prevent very old RSS items from polluting results) ---
-function parseDateMs(s) {
-  const raw = String(s || "").trim();
-  if (!raw) return null;
-  const d = new Date(raw);
-  if (!isNaN(d.getTime())) return d.getTime();
-  return null;
+// Re-price a close series into another currency using the as-of FX close for each date.
+function convertSeries(series, fx) {
+  if (!fx || fx.identity) return series;
+  const rates = fx.series;
+  let j = 0, rate = null;
+  const out = [];
+  for (const b of series) {
+    while (j < rates.length && rates[j].date <= b.date) rate = rates[j++].close;
+    if (rate == null) continue;
+    const conv = (x) => (x == null ? x : x * rate);
+    out.push({ ...b, open: conv(b.open), high: conv(b.high), low: conv(b.low), close: b.close * rate, adjClose: conv(b.adjClose) });
+  }
+  return out;
 }
 
-function extractYear(s) {
-  const m = String(s || "").match(/(19|20)\d{2}/);
-  if (!m) return null;
-  const y = Number(m[0]);
-  return Number.isFinite(y) ? y : null;
+// Currency a position's mv/price is quoted in: explicit `currency`, else the market's.
+function instrumentCurrency(code, type) {
+  return resolveInstrument(code, type).currency || "USD";
 }
 
-function toIsoDate(ts) {
-  try {
-    return new Date(ts).toISOString().slice(0, 10);
-  } catch {
-    return "";
+/**
+ * Convert positions' mv into a base currency: the request's baseCurrency, else the book's only currency, else CNY.
+ * Conversion is on when the request names a baseCurrency, any position carries a currency, or the positions'
+ * instruments trade in more than one currency; only positions quoted in another currency than the base need a
+ * rate, so a single-currency book never depends on FX. If a rate is unavailable the positions come back
+ * unconverted (mv in their own currency, base null) with `warning` set instead of failing the caller.
+ * Returns { ok, base, multiCurrency, positions (mv in base, mvLocal, currency, fxRate), rates, exposure, warning? }.
+ */
+async function toBaseCurrency(positions, { baseCurrency } = {}) {
+  const currencies = positions.map((p) => normCurrency(p.currency) || instrumentCurrency(p.code, p.type));
+  const distinct = new Set(currencies);
+  const multiCurrency = !!baseCurrency || positions.some((p) => p.currency) || distinct.size > 1;
+  if (!multiCurrency) return { ok: true, base: null, multiCurrency, positions, rates: {}, exposure: [] };
+  const base = normCurrency(baseCurrency) || (distinct.size === 1 ? currencies[0] : "CNY");
+
+  const rates = {};
+  const out = [];
+  for (const [i, p] of positions.entries()) {
+    const currency = currencies[i];
+    if (!rates[currency]) rates[currency] = await fxRate(currency, base);
+    const r = rates[currency];
+    if (!r.ok) {
+      const unconverted = positions.map((q, j) => ({ ...q, currency: currencies[j] }));
+      const warning = `${currency}->${base} rate unavailable (${r.reason}): mv left in each position's own currency`;
+      return { ok: true, base: null, multiCurrency: false, positions: unconverted, rates: {}, exposure: [], warning };
+    }
+    out.push({ ...p, currency, mvLocal: p.mv, fxRate: r.rate, mv: p.mv * r.rate });
   }
+  const total = out.reduce((s, p) => s + p.mv, 0);
+  const byCcy = {};
+  for (const p of out) byCcy[p.currency] = (byCcy[p.currency] || 0) + p.mv;
+  const exposure = Object.entries(byCcy)
+    .map(([currency, mv]) => ({ currency, mv, weight: total > 0 ? mv / total : 0, rate: rates[currency].rate, rateDate: rates[currency].date }))
+    .sort((a, b) => b.mv - a.mv);
+  return { ok: true, base, multiCurrency, positions: out, rates, exposure };
 }
 
-function parseRssOrAtom(xml) {
-  const out = [];
+/* =========================
+   History by instrument (shared by backtest/sim/risk routes)
+========================= */
+// CN funds go through the NAV path (dividend-adjusted adjClose); everything else is exchange-traded.
+// opts.full: the whole `days` span is needed (see fetchMarketHistory).
+async function fetchInstrumentHistory(inst, days, opts) {
+  return inst.type === "CN_FUND" ? fetchCnFundHistory(inst.code, days) : fetchMarketHistory(inst.code, days, opts);
+}
 
-  const itemBlocks = xml.match(/<item[\s\S]*?<\/item>/gi) || [];
-  for (const block of itemBlocks) {
-    const title = (block.match(/<title>([\s\S]*?)<\/title>/i)?.[1] || "").trim();
-    const link = (block.match(/<link>([\s\S]*?)<\/link>/i)?.[1] || "").trim();
-    const pubDate = (block.match(/<pubDate>([\s\S]*?)<\/pubDate>/i)?.[1] || "").trim();
-    const desc = (block.match(/<(description|content:encoded)>([\s\S]*?)<\/(description|content:encoded)>/i)?.[2] || "").trim();
-    if (!title && !link) continue;
-    out.push({ title: normalizeText(title), link: normalizeText(link), pubDate: normalizeText(pubDate), summary: normalizeText(desc) });
+async function fetchHistoryFor(codeRaw, type, days, opts) {
+  const inst = resolveInstrument(codeRaw, type);
+  if (!inst.ok) return { code: inst.code, market: null, type: null, hist: { ok: false, reason: inst.reason } };
+  return { code: inst.code, market: inst.market, type: inst.type, hist: await fetchInstrumentHistory(inst, days, opts) };
+}
+
+/* =========================
+   Health
+========================= */
+app.get("/health", (req, res) => {
+  res.json({ ok: true, build: BUILD_ID, tz: TZ, av_key: AV_KEY ? "set" : "missing", cache: { backend: CACHE.backend, ...CACHE.stats() } });
+});
+
+// Cache / single-flight counters for debugging duplicate upstream traffic.
+app.get("/api/debug/cache", (req, res) => {
+  res.json({
+    ok: true,
+    build: BUILD_ID,
+    store: { backend: CACHE.backend, ...CACHE.stats() },
+    stats: { ...CACHE_STATS },
+    inflight: Array.from(INFLIGHT.keys()),
+  });
+});
+
+// Provider registry: effective priority order per market and which providers are usable.
+app.get("/api/providers", (req, res) => {
+  const providers = Array.from(PROVIDERS.values()).map((p) => ({
+    id: p.id,
+    markets: p.markets || [],
+    enabled: p.enabled ? !!p.enabled() : true,
+    methods: ["history", "quote", "name", "profile", "holdings"].filter((m) => typeof p[m] === "function"),
+  }));
+  res.json({ ok: true, build: BUILD_ID, offline: OFFLINE, order: { CN: providerOrder("CN"), HK: providerOrder("HK"), US: providerOrder("US"), FX: providerOrder("FX") }, providers });
+});
+
+app.get("/api/fx/rate", async (req, res) => {
+  const from = String(req.query.from || "USD");
+  const to = String(req.query.to || "CNY");
+  const r = await fxRate(from, to);
+  if (!r.ok) return res.status(400).json({ ok: false, build: BUILD_ID, error: r.reason });
+  res.json({ build: BUILD_ID, ...r });
+});
+
+/* =========================
+   Quote batch (for refresh NAV/price)
+========================= */
+// One position -> quote item (CN fund: fundgz estimate + official NAV; listed: provider chain). null = no code.
+async function quoteItem(p, force = false) {
+  if (!String(p?.code || "").trim()) return null;
+  const inst = resolveInstrument(p.code, p.type);
+  if (!inst.ok) return { ok: false, code: inst.code, reason: inst.reason };
+
+  if (inst.type === "CN_FUND") {
+    const q = await fetchCnFundQuote(inst.code, force);
+    if (!q.ok) return { ok: false, code: inst.code, type: inst.type, reason: q.reason || "cn quote failed" };
+    return { ...q, type: inst.type };
   }
 
-  const entryBlocks = xml.match(/<entry[\s\S]*?<\/entry>/gi) || [];
-  for (const block of entryBlocks) {
-    const title = (block.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || "").trim();
-    const link = (block.match(/<link[^>]*href=["']([^"']+)["'][^>]*\/?>/i)?.[1] || "").trim();
-    const pubDate = (block.match(/<(updated|published)>([\s\S]*?)<\/(updated|published)>/i)?.[2] || "").trim();
-    const desc = (block.match(/<(summary|content)[^>]*>([\s\S]*?)<\/(summary|content)>/i)?.[2] || "").trim();
-    if (!title && !link) continue;
-    out.push({ title: normalizeText(title), link: normalizeText(link), pubDate: normalizeText(pubDate), summary: normalizeText(desc) });
+  const q = await fetchMarketQuote(inst.code);
+  if (!q.ok) return { ok: false, code: inst.code, type: inst.type, reason: q.reason || "quote failed", debug: q.debug || null };
+  return { ...q, code: inst.code, type: inst.type };
+}
+
+app.post("/api/quote/batch", async (req, res) => {
+  const positions = Array.isArray(req.body?.positions) ? req.body.positions : [];
+  const force = !!req.body?.force;
+  if (!positions.length) return res.status(400).json({ ok: false, error: "positions required" });
+
+  const items = await runBatch(positions, (p) => quoteItem(p, force), {
+    concurrency: req.body?.concurrency,
+    onError: (p, err, reason) => batchErrorItem(p, reason),
+  });
+
+  res.json({ ok: true, build: BUILD_ID, items });
+});
+
+/* =========================
+   Meta resolve (NEW)
+========================= */
+// Code (+ type) -> { ok, code, type, market, exchange, currency, name } or { ok:false, error }.
+async function resolveMeta(codeRaw, type) {
+  const inst = resolveInstrument(codeRaw, type);
+  if (!inst.ok) return { ok: false, error: inst.reason };
+  const meta = { code: inst.code, type: inst.type, market: inst.market, exchange: inst.exchange, currency: inst.currency };
+
+  // CN fund: provider registry (Eastmoney pingzhongdata by default); a fund we cannot name is an error
+  const r = await providerCall(inst.market, "name", inst.code);
+  if (inst.type === "CN_FUND") {
+    if (!r.ok) return { ok: false, error: r.reason || "eastmoney fetch failed" };
+    return { ok: true, ...meta, name: r.name || "" };
+  }
+
+  // Listed: Eastmoney quote name (CN/HK), AlphaVantage SYMBOL_SEARCH if key set (US); unresolved names stay empty
+  return { ok: true, ...meta, name: r.ok ? r.name || "" : "" };
+}
+
+app.post("/api/meta/resolve", async (req, res) => {
+  const codeRaw = String(req.body?.code || "").trim();
+
+  if (!codeRaw) return res.status(400).json({ ok: false, error: "code required" });
+
+  res.json(await resolveMeta(codeRaw, req.body?.type));
+});
+
+/* =========================
+   Fund profile (fees, managers, scale, allocation, holdings, ranks)
+========================= */
+app.get("/api/fund/:code/profile", async (req, res) => {
+  const inst = resolveInstrument(req.params.code, "CN_FUND");
+  if (!inst.ok) return res.status(400).json({ ok: false, error: inst.reason });
+
+  const r = await providerCall("CN", "profile", inst.code);
+  if (!r.ok) return res.json({ ok: false, code: inst.code, error: r.reason || "profile unavailable", debug: r.debug || null });
+  res.json({ build: BUILD_ID, ...r });
+});
+
+/* =========================
+   Tech indicators batch
+========================= */
+// Positions + options (indicators, series, adjusted, benchmark, concurrency) -> { adjusted, items }.
+async function techBatch(positions, body = {}) {
+  // Optional: indicators spec (see parseIndicatorSpec) and full indicator series for charting.
+  const spec = parseIndicatorSpec(body?.indicators);
+  const seriesOpt = body?.series;
+  const indOpts = { withSeries: !!seriesOpt, seriesLimit: typeof seriesOpt === "number" ? seriesOpt : 0 };
+  const lookback = indicatorLookback(spec);
+  // Total-return (dividend-adjusted) closes unless the caller asks for raw prices/NAV.
+  const adjusted = body?.adjusted !== false;
+  // Optional benchmark (alias like CSI300, a code, or true = market default); p.benchmark overrides per position.
+  const loadBench = benchmarkLoader();
+
+  const items = await runBatch(positions, async (p) => {
+    if (!String(p.code || "").trim()) return null;
+    const inst = resolveInstrument(p.code, p.type);
+    if (!inst.ok) return { ok: false, code: inst.code, reason: inst.reason, count: 0 };
+    const { code, type } = inst;
+
+    // CN fund NAV needs the longer minimum (no OHLC, and holidays thin the calendar).
+    const hist = await fetchInstrumentHistory(inst, Math.max(type === "CN_FUND" ? 200 : 140, lookback + 10));
+    if (!hist.ok) {
+      return { ok: false, code, type, reason: hist.reason || "history failed", count: 0, debug: hist.debug || null };
+    }
+    const series = analysisSeries(hist.series, adjusted);
+    const ind = calcIndicatorsFromSeries(series, spec, indOpts);
+    if (ind.count < 60) {
+      return { ok: false, code, type, reason: "insufficient history", count: ind.count };
+    }
+    const divs = indOpts.withSeries && hist.dividends?.length ? { dividends: hist.dividends } : {};
+    const rel = await relativeFor(inst, series, p.benchmark ?? body?.benchmark, loadBench, { adjusted, ...indOpts });
+    return { ok: true, code, type, source: hist.source, currency: hist.currency, ...staleInfo(hist), ...ind, ...divs, ...(rel ? { relative: rel } : {}), tags: makeTags(ind, rel) };
+  }, {
+    concurrency: body?.concurrency,
+    onError: (p, err, reason) => ({ ...batchErrorItem(p, reason), count: 0 }),
+  });
+
+  return { adjusted, items };
+}
+
+app.post("/api/tech/batch", async (req, res) => {
+  const positions = Array.isArray(req.body?.positions) ? req.body.positions : [];
+  if (!positions.length) return res.status(400).json({ ok: false, error: "positions required" });
+  res.json({ ok: true, build: BUILD_ID, ...(await techBatch(positions, req.body)) });
+});
+
+/* =========================
+   Sector scan
+========================= */
+// Items + options (adjusted, rankBy, benchmark, concurrency) -> { adjusted, items } or, ranked, { adjusted, rankBy, items, themes }.
+async function sectorScan(items, body = {}) {
+  const adjusted = body?.adjusted !== false;
+  // rankBy: "rs" (relative strength vs benchmark), "ret20" or "score" sorts items and ranks themes.
+  const rankBy = ["rs", "ret20", "score"].includes(body?.rankBy) ? body.rankBy : "";
+  // Benchmark: alias/code/true per request or per item; ranking by rs implies the market default.
+  const benchmark = body?.benchmark ?? (rankBy === "rs" ? true : null);
+  const loadBench = benchmarkLoader();
+
+  // Items name their instrument with type (CN_STOCK, HK_STOCK, ...) or the older market field (CN/US/HK).
+  const scanInstrument = (it) => resolveInstrument(it.symbol || it.code, it.type || it.market);
+
+  const out = await runBatch(items, async (it) => {
+    const theme = it.theme || "未分类";
+    const name = it.name || null;
+    if (!String(it.symbol || it.code || "").trim()) return null;
+
+    const inst = scanInstrument(it);
+    if (!inst.ok) return { ok: false, theme, market: null, symbol: inst.code, name, reason: inst.reason, count: 0 };
+    const { market, type, code: symbol } = inst;
+
+    const hist = await fetchInstrumentHistory(inst, type === "CN_FUND" ? 220 : 160);
+    if (!hist.ok) {
+      return { ok: false, theme, market, type, symbol, name, reason: hist.reason || "history failed", count: 0, debug: hist.debug || null };
+    }
+    const series = analysisSeries(hist.series, adjusted);
+    const ind = calcIndicatorsFromSeries(series);
+    if (ind.count < 60) {
+      return { ok: false, theme, market, type, symbol, name, reason: "insufficient history", count: ind.count };
+    }
+    const rel = await relativeFor(inst, series, it.benchmark ?? benchmark, loadBench, { adjusted });
+    return {
+      ok: true,
+      theme,
+      market,
+      type,
+      symbol,
+      name,
+      source: hist.source,
+      currency: hist.currency,
+      ...staleInfo(hist),
+      ...ind,
+      ...(rel ? { relative: rel } : {}),
+      score: scoreSector(ind, { rel, rankBy }),
+      tags: makeTags(ind, rel),
+    };
+  }, {
+    concurrency: body?.concurrency,
+    onError: (it, err, reason) => {
+      const inst = scanInstrument(it);
+      return { ok: false, theme: it.theme || "未分类", market: inst.market || null, type: inst.type || null, symbol: inst.code, name: it.name || null, reason, count: 0 };
+    },
+  });
+
+  if (!rankBy) return { adjusted, items: out };
+
+  const metric = (x) => (rankBy === "rs" ? (x.relative?.ok ? x.relative.rs20 : null) : rankBy === "ret20" ? x.ret20 : x.score);
+  const byMetric = (a, b) => (b.value ?? -Infinity) - (a.value ?? -Infinity);
+  const ranked = out
+    .filter((x) => x.ok)
+    .map((x) => ({ item: x, value: metric(x) }))
+    .sort(byMetric)
+    .map(({ item }, i) => ({ ...item, rank: i + 1 }));
+
+  const groups = new Map();
+  for (const x of ranked) groups.set(x.theme, [...(groups.get(x.theme) || []), x]);
+  const avg = (arr) => {
+    const v = arr.filter((n) => typeof n === "number");
+    return v.length ? v.reduce((s, n) => s + n, 0) / v.length : null;
+  };
+  const themes = Array.from(groups.entries())
+    .map(([theme, xs]) => ({
+      theme,
+      count: xs.length,
+      score: avg(xs.map((x) => x.score)),
+      ret20: avg(xs.map((x) => x.ret20)),
+      rs20: avg(xs.map((x) => (x.relative?.ok ? x.relative.rs20 : null))),
+    }))
+    .map((t) => ({ ...t, value: rankBy === "rs" ? t.rs20 : rankBy === "ret20" ? t.ret20 : t.score }))
+    .sort(byMetric)
+    .map(({ value, ...t }, i) => ({ ...t, rank: i + 1 }));
+
+  return { adjusted, rankBy, items: [...ranked, ...out.filter((x) => !x.ok)], themes };
+}
+
+app.post("/api/sector/scan", async (req, res) => {
+  const items = Array.isArray(req.body?.items) ? req.body.items : [];
+  if (!items.length) return res.status(400).json({ ok: false, error: "items required" });
+  res.json({ ok: true, build: BUILD_ID, ...(await sectorScan(items, req.body)) });
+});
+
+/* =========================
+   Portfolio risk math (aligned returns, covariance, risk contributions)
+========================= */
+const RISK_LOOKBACK_DAYS = 120;
+const RISK_MIN_COMMON_DAYS = 30;
+const RISK_TARGET_VOL = Number(process.env.RISK_TARGET_VOL || 15); // annualized %, drives suggestTotalPct cap
+const RISK_LEVELS = ["低", "中", "高", "极高"];
+
+// Daily simple returns on the dates every series has in common (CN and US calendars differ).
+function alignedReturns(seriesList, lookback = RISK_LOOKBACK_DAYS) {
+  const maps = seriesList.map((s) => new Map(s.map((b) => [b.date, b.close])));
+  const dates = Array.from(maps[0].keys())
+    .filter((d) => maps.every((m) => m.get(d) > 0))
+    .sort()
+    .slice(-(lookback + 1));
+  const rets = maps.map((m) => {
+    const r = [];
+    for (let i = 1; i < dates.length; i++) r.push(m.get(dates[i]) / m.get(dates[i - 1]) - 1);
+    return r;
+  });
+  return { dates: dates.slice(1), rets };
+}
+
+function covMatrix(rets) {
+  const n = rets.length, T = rets[0]?.length || 0;
+  const means = rets.map((r) => r.reduce((s, x) => s + x, 0) / T);
+  const cov = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = i; j < n; j++) {
+      let c = 0;
+      for (let t = 0; t < T; t++) c += (rets[i][t] - means[i]) * (rets[j][t] - means[j]);
+      cov[i][j] = cov[j][i] = T > 1 ? c / (T - 1) : 0;
+    }
+  }
+  return cov;
+}
+
+function corrFromCov(cov) {
+  return cov.map((row, i) => row.map((c, j) => {
+    const d = Math.sqrt(cov[i][i] * cov[j][j]);
+    return d > 0 ? c / d : (i === j ? 1 : 0);
+  }));
+}
+
+/**
+ * Portfolio vol (annualized %), each position's share of variance, and
+ * effectiveBets = diversificationRatio² (1 for perfectly correlated holdings, n for independent equal-vol ones).
+ */
+function portfolioRisk(weights, cov) {
+  const n = weights.length;
+  const sigmaW = cov.map((row) => row.reduce((s, c, j) => s + c * weights[j], 0));
+  const variance = weights.reduce((s, w, i) => s + w * sigmaW[i], 0);
+  const vols = cov.map((row, i) => Math.sqrt(Math.max(row[i], 0)));
+  const portVol = Math.sqrt(Math.max(variance, 0));
+  const corr = corrFromCov(cov);
+  let pairs = 0, corrSum = 0;
+  for (let i = 0; i < n; i++) for (let j = i + 1; j < n; j++) {
+    corrSum += corr[i][j];
+    pairs++;
+  }
+  const dr = portVol > 0 ? weights.reduce((s, w, i) => s + w * vols[i], 0) / portVol : null;
+  return {
+    vol: portVol * Math.sqrt(ANNUALIZE_DAYS) * 100,
+    vols: vols.map((v) => v * Math.sqrt(ANNUALIZE_DAYS) * 100),
+    riskContrib: weights.map((w, i) => (variance > 0 ? (w * sigmaW[i]) / variance : null)),
+    corr,
+    avgCorrelation: pairs ? corrSum / pairs : null,
+    diversificationRatio: dr,
+    effectiveBets: dr == null ? null : dr * dr,
+  };
+}
+
+/**
+ * Fetch histories for positions ({code, type, ...}) -> { usable, missing }. usable[i].series is adjusted and,
+ * with a base currency, converted into it; usable[i].raw is the instrument's own unadjusted bars.
+ */
+async function riskSeries(positions, { days, concurrency, base = null } = {}) {
+  const hists = await runBatch(positions, async (p) => {
+    const { code, hist } = await fetchHistoryFor(p.code, p.type, days, { full: true });
+    return { code, hist };
+  }, { concurrency, onError: (p, err, reason) => ({ code: p.code, hist: { ok: false, reason } }) });
+
+  // With a base currency, returns are measured after FX (a USD fund held by a CNY investor carries USD/CNY too).
+  const fxCache = {};
+  const usable = [], missing = [];
+  for (let i = 0; i < positions.length; i++) {
+    const p = positions[i];
+    const h = hists[i]?.hist;
+    let series = h?.ok ? analysisSeries(h.series) : null;
+    const ccy = h?.currency || instrumentCurrency(p.code, p.type);
+    if (series && base && ccy !== base) {
+      if (!fxCache[ccy]) fxCache[ccy] = await fxSeries(ccy, base, days + 30);
+      series = fxCache[ccy].ok ? convertSeries(series, fxCache[ccy]) : null;
+    }
+    if (series?.length > RISK_MIN_COMMON_DAYS) usable.push({ ...p, code: hists[i].code, currency: ccy, series, raw: h.series });
+    else missing.push({ code: hists[i]?.code || p.code, reason: !h?.ok ? h?.reason || "no history" : series ? "insufficient history" : `fx ${ccy}->${base} unavailable` });
+  }
+  return { usable, missing };
+}
+
+/**
+ * Fetch histories for positions ({code, type, weight}) and compute the correlation/vol picture.
+ * Positions without usable history are reported in `missing` and left out of the math.
+ */
+async function positionRiskAnalytics(positions, { lookback = RISK_LOOKBACK_DAYS, concurrency, base = null, minPositions = 2 } = {}) {
+  const { usable, missing } = await riskSeries(positions, { days: Math.max(200, lookback + 20), concurrency, base });
+  if (usable.length < minPositions) return { ok: false, reason: `need history for at least ${minPositions} position(s)`, missing };
+
+  const { dates, rets } = alignedReturns(usable.map((p) => p.series), lookback);
+  if (dates.length < RISK_MIN_COMMON_DAYS) return { ok: false, reason: `only ${dates.length} common trading days`, missing };
+
+  const wSum = usable.reduce((s, p) => s + p.weight, 0);
+  const w = usable.map((p) => p.weight / wSum);
+  const pr = portfolioRisk(w, covMatrix(rets));
+  return {
+    ok: true,
+    lookbackDays: dates.length,
+    from: dates[0],
+    to: dates[dates.length - 1],
+    coveredWeight: wSum,
+    codes: usable.map((p) => p.code),
+    positions: usable.map((p, i) => ({ code: p.code, name: p.name || null, weight: w[i], vol: pr.vols[i], riskContribution: pr.riskContrib[i] })),
+    vol: pr.vol,
+    avgCorrelation: pr.avgCorrelation,
+    diversificationRatio: pr.diversificationRatio,
+    effectiveBets: pr.effectiveBets,
+    matrix: pr.corr,
+    missing,
+    rets,
+  };
+}
+
+/* =========================
+   Position sizing (inverse-vol / risk parity scaled to a volatility target) + ATR stops
+   - vol_target: weights ∝ 1 / realized vol; risk_parity: equal risk contribution under the covariance
+   - either mix is then scaled so the book runs at targetVol (capped at maxTotalPct / maxWeightPct; the rest is cash)
+   - stops: chandelier (highest close of the last SIZING_TRAIL_DAYS - atrMult × ATR); close-only NAVs use the
+     mean absolute daily change as ATR
+   - drawdown alerts: warn / stop at 1σ / 2σ of a SIZING_ALERT_DAYS move, measured from the lookback peak
+========================= */
+const SIZING_SCHEMES = ["vol_target", "risk_parity"];
+const SIZING_ATR_PERIOD = 14;
+const SIZING_ATR_MULT = 3;
+const SIZING_TRAIL_DAYS = 22;
+const SIZING_ALERT_DAYS = 21;
+
+// Equal-risk-contribution weights (sum 1) by multiplicative fixed-point updates from inverse-vol.
+function riskParityWeights(cov, iters = 500) {
+  const n = cov.length;
+  let w = cov.map((row, i) => (row[i] > 0 ? 1 / Math.sqrt(row[i]) : 0));
+  const norm = (v) => {
+    const s = v.reduce((a, x) => a + x, 0);
+    return s > 0 ? v.map((x) => x / s) : v.map(() => 1 / n);
+  };
+  w = norm(w);
+  for (let k = 0; k < iters; k++) {
+    const m = cov.map((row) => row.reduce((s, c, j) => s + c * w[j], 0));
+    const rc = w.map((x, i) => x * m[i]);
+    const variance = rc.reduce((s, x) => s + x, 0);
+    if (!(variance > 0)) break;
+    const next = norm(w.map((x, i) => (rc[i] > 0 ? x * Math.sqrt(variance / n / rc[i]) : x)));
+    const moved = next.reduce((s, x, i) => s + Math.abs(x - w[i]), 0);
+    w = next;
+    if (moved < 1e-10) break;
+  }
+  return w;
+}
+
+// Stop / alert levels from an instrument's own (unadjusted) bars.
+function stopLevels(bars, vol, { atrPeriod = SIZING_ATR_PERIOD, atrMult = SIZING_ATR_MULT, lookback = RISK_LOOKBACK_DAYS } = {}) {
+  const closes = bars.map((b) => b.close);
+  const last = closes[closes.length - 1];
+  let atr = atrSeries(bars, atrPeriod).at(-1);
+  let atrSource = "true_range";
+  if (atr == null) {
+    const diffs = closes.slice(-(atrPeriod + 1)).map((c, i, a) => (i ? Math.abs(c - a[i - 1]) : null)).filter((x) => x != null);
+    atr = diffs.length ? diffs.reduce((s, x) => s + x, 0) / diffs.length : null;
+    atrSource = "close";
+  }
+  const trailHigh = Math.max(...closes.slice(-SIZING_TRAIL_DAYS));
+  const peak = Math.max(...closes.slice(-lookback));
+  const stopPrice = atr != null ? trailHigh - atrMult * atr : null;
+  const move = vol != null ? vol * Math.sqrt(SIZING_ALERT_DAYS / ANNUALIZE_DAYS) : null; // 1σ over the alert window, %
+  const drawdownPct = peak > 0 ? (last / peak - 1) * 100 : null;
+  const warnPct = move != null ? -move : null;
+  const alertStopPct = move != null ? -2 * move : null;
+  return {
+    lastClose: last,
+    lastDate: bars[bars.length - 1].date,
+    atr,
+    atrPct: atr != null && last ? (atr / last) * 100 : null,
+    atrSource,
+    trailHigh,
+    stopPrice,
+    stopDistancePct: stopPrice != null && last ? (stopPrice / last - 1) * 100 : null,
+    stopHit: stopPrice != null ? last <= stopPrice : false,
+    peak,
+    drawdownPct,
+    alertWarnPct: warnPct,
+    alertStopPct,
+    alert: drawdownPct == null || warnPct == null ? null : drawdownPct <= alertStopPct ? "stop" : drawdownPct <= warnPct ? "warn" : "ok",
+  };
+}
+
+// Request options (object or true) -> sizing options with defaults.
+function sizingOpts(x) {
+  const o = x && typeof x === "object" ? x : {};
+  const scheme = SIZING_SCHEMES.includes(o.scheme) ? o.scheme : "risk_parity";
+  const num = (v, d, lo, hi) => (Number.isFinite(Number(v)) && v !== null && v !== "" ? Math.min(hi, Math.max(lo, Number(v))) : d);
+  return {
+    scheme,
+    targetVol: num(o.targetVol, RISK_TARGET_VOL, 1, 100),
+    maxTotalPct: num(o.maxTotalPct, 100, 0, 100),
+    maxWeightPct: num(o.maxWeightPct, 100, 0, 100),
+    lookback: num(o.lookback, RISK_LOOKBACK_DAYS, RISK_MIN_COMMON_DAYS, 500),
+    atrPeriod: Math.round(num(o.atrPeriod, SIZING_ATR_PERIOD, 2, 100)),
+    atrMult: num(o.atrMult, SIZING_ATR_MULT, 0.5, 10),
+  };
+}
+
+/**
+ * Positions ({code, type, name?, mv?}) -> proposed weights (% of the whole book, cash = remainder), expected
+ * vol, and per-position ATR stop / drawdown alert levels. Prices in stops are in the instrument's currency.
+ */
+async function positionSizing(positions, { concurrency, base = null, ...opts } = {}) {
+  const o = sizingOpts(opts);
+  const { usable, missing } = await riskSeries(positions, { days: Math.max(200, o.lookback + 30), concurrency, base });
+  if (!usable.length) return { ok: false, reason: "no position has enough history", missing };
+
+  const { dates, rets } = alignedReturns(usable.map((p) => p.series), o.lookback);
+  if (dates.length < RISK_MIN_COMMON_DAYS) return { ok: false, reason: `only ${dates.length} common trading days`, missing };
+  const cov = covMatrix(rets);
+  const vols = cov.map((row, i) => Math.sqrt(Math.max(row[i], 0)) * Math.sqrt(ANNUALIZE_DAYS) * 100);
+
+  const mix = o.scheme === "risk_parity"
+    ? riskParityWeights(cov)
+    : (() => {
+        const inv = vols.map((v) => (v > 0 ? 1 / v : 0));
+        const s = inv.reduce((a, x) => a + x, 0);
+        return inv.map((x) => (s > 0 ? x / s : 1 / inv.length));
+      })();
+  const mixVol = portfolioRisk(mix, cov).vol;
+  const uncapped = mixVol > 0 ? o.targetVol / mixVol : 1;
+  const scale = Math.min(o.maxTotalPct / 100, uncapped);
+  const weights = mix.map((w) => Math.min(w * scale, o.maxWeightPct / 100));
+  const pr = portfolioRisk(weights, cov);
+  const totalMv = positions.reduce((s, p) => s + (Number(p.mv) > 0 ? Number(p.mv) : 0), 0);
+
+  const items = usable.map((p, i) => {
+    const current = totalMv > 0 && Number(p.mv) > 0 ? (Number(p.mv) / totalMv) * 100 : null;
+    return {
+      code: p.code,
+      name: p.name || null,
+      currency: p.currency,
+      vol: vols[i],
+      currentWeightPct: current,
+      suggestedWeightPct: weights[i] * 100,
+      deltaPct: current != null ? weights[i] * 100 - current : null,
+      riskContribution: pr.riskContrib[i],
+      ...stopLevels(p.raw, vols[i], o),
+    };
+  });
+
+  return {
+    ok: true,
+    scheme: o.scheme,
+    targetVol: o.targetVol,
+    maxTotalPct: o.maxTotalPct,
+    maxWeightPct: o.maxWeightPct,
+    atrPeriod: o.atrPeriod,
+    atrMult: o.atrMult,
+    suggestTotalPct: weights.reduce((s, w) => s + w, 0) * 100,
+    expectedVol: pr.vol,
+    capped: scale < uncapped - 1e-9 || weights.some((w, i) => w < mix[i] * scale - 1e-9),
+    lookbackDays: dates.length,
+    from: dates[0],
+    to: dates[dates.length - 1],
+    positions: items,
+    missing,
+  };
+}
+
+/* =========================
+   Benchmark-relative analytics (beta, alpha, tracking error, information ratio, relative strength)
+   Aliases point at total-return ETF trackers, so index dividends do not show up as alpha.
+========================= */
+const BENCHMARKS = {
+  CSI300: { code: "510300.SH", name: "沪深300" },
+  CSI500: { code: "510500.SH", name: "中证500" },
+  CSI1000: { code: "512100.SH", name: "中证1000" },
+  CHINEXT: { code: "159915.SZ", name: "创业板指" },
+  HSI: { code: "2800.HK", name: "恒生指数" },
+  SPY: { code: "SPY", name: "S&P 500" },
+  QQQ: { code: "QQQ", name: "Nasdaq 100" },
+};
+const DEFAULT_BENCHMARK = {
+  CN: process.env.BENCHMARK_CN || "CSI300",
+  HK: process.env.BENCHMARK_HK || "HSI",
+  US: process.env.BENCHMARK_US || "SPY",
+};
+const REL_LOOKBACK_DAYS = 120;
+const REL_ALPHA_WINDOW = 60;
+const REL_HISTORY_DAYS = 200;
+
+/**
+ * Benchmark spec -> { ok, id, code, type, name } or null when none is asked for.
+ * Spec: alias ("CSI300"), any code ("QQQ", "000905.SH"), { code, type }, or true / "auto" = market default.
+ */
+function resolveBenchmark(spec, market) {
+  if (spec == null || spec === false || spec === "") return null;
+  const raw = spec === true || String(spec).toLowerCase() === "auto" ? DEFAULT_BENCHMARK[market] : spec;
+  if (!raw) return null;
+  const codeRaw = String(typeof raw === "object" ? raw.code || "" : raw).trim();
+  const alias = BENCHMARKS[codeRaw.toUpperCase()];
+  const inst = resolveInstrument(alias ? alias.code : codeRaw, alias ? undefined : raw?.type);
+  if (!inst.ok) return { ok: false, reason: `benchmark ${codeRaw}: ${inst.reason}` };
+  return { ok: true, id: alias ? codeRaw.toUpperCase() : inst.code, code: inst.code, type: inst.type, name: alias?.name || raw?.name || null };
+}
+
+// Per-request benchmark history loader: each distinct benchmark is fetched once per batch.
+function benchmarkLoader(days = REL_HISTORY_DAYS) {
+  const loaded = new Map();
+  return (bm) => {
+    if (!loaded.has(bm.code)) loaded.set(bm.code, fetchHistoryFor(bm.code, bm.type, days).then((r) => r.hist));
+    return loaded.get(bm.code);
+  };
+}
+
+// OLS of a on b: beta, daily alpha, correlation.
+function regress(a, b) {
+  const n = a.length;
+  const ma = a.reduce((s, x) => s + x, 0) / n;
+  const mb = b.reduce((s, x) => s + x, 0) / n;
+  let cov = 0, va = 0, vb = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (a[i] - ma) * (b[i] - mb);
+    va += (a[i] - ma) ** 2;
+    vb += (b[i] - mb) ** 2;
+  }
+  const beta = vb > 0 ? cov / vb : null;
+  return { beta, alpha: beta == null ? null : ma - beta * mb, correlation: va > 0 && vb > 0 ? cov / Math.sqrt(va * vb) : null };
+}
+
+/**
+ * Asset vs benchmark on their common dates (closes already adjusted as the caller wants).
+ * Percent outputs are annualized: alpha (Jensen, rf = 0), rollingAlpha (last `window` days), trackingError.
+ * Relative strength line rs = 100 * (asset growth / benchmark growth) over the lookback; rs20/rs60 are its % change.
+ */
+function relativeStats(series, benchSeries, { lookback = REL_LOOKBACK_DAYS, window = REL_ALPHA_WINDOW, withSeries = false, seriesLimit = 0 } = {}) {
+  const { dates, rets } = alignedReturns([series, benchSeries], lookback);
+  const [a, b] = rets;
+  const T = dates.length;
+  if (T < RISK_MIN_COMMON_DAYS) return { ok: false, reason: `only ${T} common days with benchmark` };
+
+  const reg = regress(a, b);
+  const active = a.map((x, i) => x - b[i]);
+  const activeSd = stdev(active);
+  const activeMean = active.reduce((s, x) => s + x, 0) / T;
+
+  const rs = [100];
+  for (let i = 0; i < T; i++) rs.push((rs[i] * (1 + a[i])) / (1 + b[i]));
+  const rsChange = (n) => (T >= n ? (rs[T] / rs[T - n] - 1) * 100 : null);
+
+  const rolling = [];
+  const w = Math.min(window, T);
+  for (let i = w; i <= T; i++) {
+    const r = regress(a.slice(i - w, i), b.slice(i - w, i));
+    rolling.push(r.alpha == null ? null : r.alpha * ANNUALIZE_DAYS * 100);
+  }
+
+  const out = {
+    ok: true,
+    days: T,
+    from: dates[0],
+    to: dates[T - 1],
+    beta: reg.beta,
+    alpha: reg.alpha == null ? null : reg.alpha * ANNUALIZE_DAYS * 100,
+    rollingAlpha: rolling[rolling.length - 1] ?? null,
+    alphaWindow: w,
+    correlation: reg.correlation,
+    trackingError: activeSd == null ? null : activeSd * Math.sqrt(ANNUALIZE_DAYS) * 100,
+    informationRatio: activeSd ? (activeMean / activeSd) * Math.sqrt(ANNUALIZE_DAYS) : null,
+    excessReturn: (rs[T] / 100 - 1) * 100,
+    rs20: rsChange(20),
+    rs60: rsChange(60),
+  };
+  if (withSeries) {
+    const n = seriesLimit > 0 ? Math.min(seriesLimit, T) : T;
+    const pad = new Array(T - rolling.length).fill(null);
+    out.series = {
+      dates: dates.slice(-n),
+      rs: rs.slice(1).slice(-n),
+      rollingAlpha: pad.concat(rolling).slice(-n),
+    };
+  }
+  return out;
+}
+
+// Relative block for one instrument, or null when no benchmark was asked for.
+async function relativeFor(inst, series, spec, loadBench, { adjusted = true, ...opts } = {}) {
+  const bm = resolveBenchmark(spec, inst.market);
+  if (!bm) return null;
+  if (!bm.ok) return { ok: false, reason: bm.reason };
+  const benchmark = { id: bm.id, code: bm.code, name: bm.name };
+  if (bm.code === inst.code) return { ok: false, benchmark, reason: "instrument is its own benchmark" };
+  const h = await loadBench(bm);
+  if (!h.ok) return { ok: false, benchmark, reason: h.reason || "benchmark history failed" };
+  return { benchmark, ...relativeStats(series, analysisSeries(h.series, adjusted), opts) };
+}
+
+/* =========================
+   Look-through exposure: fund top holdings aggregated per underlying stock / industry
+   Funds (CN_FUND, CN_ETF) contribute mv * disclosed weight; directly held stocks count as themselves.
+   Only the top-10 disclosure is known, so the undisclosed rest of each fund stays unattributed.
+========================= */
+const LOOKTHROUGH_STOCK_PCT = 5; // one underlying stock held via 2+ positions at >= this % of the book
+const LOOKTHROUGH_PAIR_PCT = 20; // two funds whose top holdings overlap by >= this % of NAV
+
+function isLookThroughFund(p) {
+  return p.type === "CN_FUND" || p.type === "CN_ETF";
+}
+
+async function lookThroughExposure(positions, { concurrency, stockThresholdPct = LOOKTHROUGH_STOCK_PCT, pairThresholdPct = LOOKTHROUGH_PAIR_PCT } = {}) {
+  const insts = positions.map((p) => ({ ...p, inst: resolveInstrument(p.code, p.type) }));
+  const total = insts.reduce((s, p) => s + p.mv, 0);
+  if (!(total > 0)) return { ok: false, reason: "持仓市值为0" };
+
+  const disclosed = await runBatch(insts, async (p) => {
+    if (!p.inst.ok || !isLookThroughFund(p.inst)) return { p };
+    const h = await providerCall("CN", "holdings", p.inst.code.slice(0, 6));
+    return { p, h };
+  }, { concurrency, onError: (p, err, reason) => ({ p, h: { ok: false, reason } }) });
+
+  const stocks = new Map(); // code -> { code, type, name, exposure, heldBy: [{ code, weightPct }] }
+  const industries = new Map(); // name -> exposure
+  const funds = [];
+  const missing = [];
+  let direct = 0;
+  const addStock = (code, type, name, exposure, via, weightPct) => {
+    const s = stocks.get(code) || { code, type, name: name || null, exposure: 0, heldBy: [] };
+    s.exposure += exposure;
+    if (!s.name && name) s.name = name;
+    s.heldBy.push({ code: via, weightPct });
+    stocks.set(code, s);
+  };
+
+  for (const { p, h } of disclosed) {
+    const code = p.inst.ok ? p.inst.code : p.code;
+    if (!h) {
+      // Directly held listed stock (US tickers may be ETFs; they still count as one name).
+      if (p.inst.ok && p.inst.type !== "CN_FUND") {
+        addStock(code, p.inst.type, p.name, p.mv, code, 100);
+        direct += p.mv;
+      } else missing.push({ code, reason: p.inst.reason || "not look-through-able" });
+      continue;
+    }
+    if (!h.ok) {
+      missing.push({ code, reason: h.reason || "holdings unavailable" });
+      continue;
+    }
+    const disclosedPct = h.holdings.reduce((s, x) => s + x.weightPct, 0);
+    for (const x of h.holdings) addStock(x.code, x.type, x.name, (p.mv * x.weightPct) / 100, code, x.weightPct);
+    for (const x of h.industries || []) industries.set(x.name, (industries.get(x.name) || 0) + (p.mv * x.weightPct) / 100);
+    funds.push({
+      code,
+      name: p.name || h.name || null,
+      weight: p.mv / total,
+      date: h.date || null,
+      stockPct: h.stockPct ?? null,
+      disclosedPct,
+      holdings: h.holdings.map((x) => ({ code: x.code, weightPct: x.weightPct })),
+      ...staleInfo(h),
+    });
+  }
+
+  const stockRows = Array.from(stocks.values())
+    .map((s) => ({ ...s, weight: s.exposure / total }))
+    .sort((a, b) => b.exposure - a.exposure);
+  const industryRows = Array.from(industries.entries())
+    .map(([name, exposure]) => ({ name, exposure, weight: exposure / total }))
+    .sort((a, b) => b.exposure - a.exposure);
+
+  // Pairwise overlap of disclosed holdings: sum over shared stocks of min(weight in A, weight in B), % of NAV.
+  const pairs = [];
+  for (let i = 0; i < funds.length; i++) {
+    for (let j = i + 1; j < funds.length; j++) {
+      const b = new Map(funds[j].holdings.map((x) => [x.code, x.weightPct]));
+      const common = funds[i].holdings.filter((x) => b.has(x.code));
+      if (!common.length) continue;
+      const overlapPct = common.reduce((s, x) => s + Math.min(x.weightPct, b.get(x.code)), 0);
+      pairs.push({ a: funds[i].code, b: funds[j].code, overlapPct, common: common.map((x) => x.code), flagged: overlapPct >= pairThresholdPct });
+    }
+  }
+  pairs.sort((x, y) => y.overlapPct - x.overlapPct);
+
+  const attributed = stockRows.reduce((s, x) => s + x.exposure, 0);
+  return {
+    ok: true,
+    total,
+    funds,
+    stocks: stockRows,
+    industries: industryRows,
+    overlaps: {
+      stocks: stockRows.filter((s) => s.heldBy.length >= 2 && s.weight * 100 >= stockThresholdPct),
+      pairs,
+      stockThresholdPct,
+      pairThresholdPct,
+    },
+    // HHI over attributed names only (the undisclosed remainder is unknown, not diversified).
+    stockHHI: stockRows.reduce((s, x) => s + x.weight * x.weight, 0),
+    industryHHI: industryRows.reduce((s, x) => s + x.weight * x.weight, 0),
+    attributedWeight: attributed / total,
+    directWeight: direct / total,
+    missing,
+  };
+}
+
+// Thresholds from a request object ({ stockThresholdPct, pairThresholdPct }); anything else means the defaults.
+function lookThroughOpts(raw) {
+  const o = raw && typeof raw === "object" ? raw : {};
+  const pct = (x, d) => (Number(x) > 0 ? Number(x) : d);
+  return {
+    stockThresholdPct: pct(o.stockThresholdPct, LOOKTHROUGH_STOCK_PCT),
+    pairThresholdPct: pct(o.pairThresholdPct, LOOKTHROUGH_PAIR_PCT),
+  };
+}
+
+/* =========================
+   Risk check
+========================= */
+// Request positions -> { code, name, mv, type, currency }; drops empty codes and non-positive mv.
+function cleanPositions(positions) {
+  return positions
+    .map((p) => ({
+      code: String(p.code || "").trim(),
+      name: p.name || null,
+      mv: Number(p.mv ?? p.amount ?? 0),
+      type: String(p.type || "").trim(),
+      currency: normCurrency(p.currency),
+    }))
+    .filter((p) => p.code && isFinite(p.mv) && p.mv > 0);
+}
+
+app.post("/api/risk/check", async (req, res) => {
+  const positions = Array.isArray(req.body?.positions) ? req.body.positions : [];
+  if (!positions.length) return res.status(400).json({ ok: false, error: "positions required" });
+
+  const fx = await toBaseCurrency(cleanPositions(positions), { baseCurrency: req.body?.baseCurrency });
+  const cleaned = fx.positions;
+
+  const total = cleaned.reduce((s, p) => s + p.mv, 0);
+  if (total <= 0) {
+    return res.json({ ok: true, build: BUILD_ID, riskLevel: "未知", summary: "持仓市值为0", suggestTotalPct: 0, details: [] });
+  }
+
+  const weights = cleaned.map((p) => p.mv / total).sort((a, b) => b - a);
+  const maxW = weights[0] || 0;
+  const hhi = weights.reduce((s, w) => s + w * w, 0);
+
+  let riskLevel = "中";
+  if (maxW >= 0.55 || hhi >= 0.28) riskLevel = "极高";
+  else if (maxW >= 0.40 || hhi >= 0.22) riskLevel = "高";
+  else if (maxW <= 0.22 && hhi <= 0.14) riskLevel = "低";
+  const concentrationLevel = riskLevel;
+
+  // Correlation / volatility (on by default; correlation:false keeps the old concentration-only check)
+  let analytics = null;
+  if (req.body?.correlation !== false && cleaned.length >= 2) {
+    analytics = await positionRiskAnalytics(
+      cleaned.map((p) => ({ ...p, weight: p.mv / total })),
+      { lookback: Math.min(500, Math.max(RISK_MIN_COMMON_DAYS, Number(req.body?.lookback) || RISK_LOOKBACK_DAYS)), concurrency: req.body?.concurrency, base: fx.base },
+    );
+  }
+
+  // Look-through of fund holdings (on when any position is a fund; lookThrough:false skips it)
+  let lookThrough = null;
+  if (req.body?.lookThrough !== false && cleaned.some((p) => isLookThroughFund(resolveInstrument(p.code, p.type)))) {
+    lookThrough = await lookThroughExposure(cleaned, { concurrency: req.body?.concurrency, ...lookThroughOpts(req.body?.lookThrough) });
+  }
+
+  // Vol-target / risk-parity weights and ATR stops (opt-in: sizing: true | { scheme, targetVol, atrMult, ... })
+  let sizing = null;
+  if (req.body?.sizing) {
+    sizing = await positionSizing(cleaned, { concurrency: req.body?.concurrency, base: fx.base, ...sizingOpts(req.body.sizing) });
+  }
+
+  // Highly correlated or very volatile books, or funds that share the same top holdings, count as one
+  // notch riskier than concentration alone says.
+  const corrFlags = [];
+  if (analytics?.ok) {
+    if (cleaned.length >= 3 && analytics.effectiveBets < 2) corrFlags.push(`有效独立持仓数仅 ${analytics.effectiveBets.toFixed(2)}：多只持仓高度同向`);
+    if (analytics.avgCorrelation >= 0.8) corrFlags.push(`平均相关系数 ${analytics.avgCorrelation.toFixed(2)}：分散效果有限`);
+    if (analytics.vol >= 30) corrFlags.push(`组合年化波动 ${analytics.vol.toFixed(1)}%：波动偏大`);
+  }
+  const overlapFlags = [];
+  if (lookThrough?.ok) {
+    for (const st of lookThrough.overlaps.stocks.slice(0, 3)) {
+      overlapFlags.push(`穿透重叠：${st.name || st.code} 占组合 ${(st.weight * 100).toFixed(1)}%（${st.heldBy.length} 个持仓共同持有）`);
+    }
+    for (const pr of lookThrough.overlaps.pairs.filter((x) => x.flagged).slice(0, 3)) {
+      overlapFlags.push(`${pr.a} 与 ${pr.b} 前十大重仓重叠 ${pr.overlapPct.toFixed(1)}%`);
+    }
+  }
+  if (corrFlags.length || overlapFlags.length) riskLevel = RISK_LEVELS[Math.min(RISK_LEVELS.length - 1, RISK_LEVELS.indexOf(riskLevel) + 1)];
+
+  let suggestTotalPct = 70;
+  if (riskLevel === "极高") suggestTotalPct = 40;
+  else if (riskLevel === "高") suggestTotalPct = 55;
+  else if (riskLevel === "中") suggestTotalPct = 70;
+  else if (riskLevel === "低") suggestTotalPct = 85;
+  // Volatility cap: total exposure such that the invested part runs at about RISK_TARGET_VOL.
+  if (analytics?.ok && analytics.vol > 0) {
+    suggestTotalPct = Math.max(20, Math.min(suggestTotalPct, Math.round((RISK_TARGET_VOL / analytics.vol) * 100)));
+  }
+
+  const details = [];
+  details.push(`最大单一持仓占比：${(maxW * 100).toFixed(1)}%`);
+  details.push(`集中度(HHI)：${hhi.toFixed(3)}`);
+  if (maxW >= 0.40) details.push("集中度偏高：建议分散到更多不高度同向的资产/主题");
+  if (cleaned.length <= 3) details.push("持仓数量偏少：波动可能更大，注意单一事件风险");
+  if (analytics?.ok) {
+    details.push(`组合年化波动：${analytics.vol.toFixed(1)}%（近 ${analytics.lookbackDays} 个共同交易日）`);
+    if (analytics.avgCorrelation != null) details.push(`平均相关系数：${analytics.avgCorrelation.toFixed(2)}`);
+    details.push(`有效独立持仓数：${analytics.effectiveBets.toFixed(2)} / ${analytics.codes.length}`);
+    const top = analytics.positions.slice().sort((a, b) => b.riskContribution - a.riskContribution)[0];
+    if (top) details.push(`风险贡献最大：${top.name || top.code} ${(top.riskContribution * 100).toFixed(1)}%（市值占比 ${(top.weight * 100).toFixed(1)}%）`);
+    details.push(...corrFlags);
+  } else if (analytics && !analytics.ok) {
+    details.push(`相关性/波动未计算：${analytics.reason}`);
+  }
+  if (lookThrough?.ok) {
+    const top = lookThrough.stocks[0];
+    if (top) details.push(`穿透后最大单一股票敞口：${top.name || top.code} ${(top.weight * 100).toFixed(1)}%`);
+    details.push(`穿透集中度(HHI，已披露部分)：${lookThrough.stockHHI.toFixed(3)}`);
+    if (lookThrough.industries[0]) details.push(`穿透后第一大行业：${lookThrough.industries[0].name} ${(lookThrough.industries[0].weight * 100).toFixed(1)}%`);
+    details.push(...overlapFlags);
+    if (lookThrough.missing.length) details.push(`穿透未覆盖：${lookThrough.missing.map((m) => m.code).join("，")}`);
+  } else if (lookThrough && !lookThrough.ok) {
+    details.push(`穿透分析未完成：${lookThrough.reason}`);
+  }
+  if (sizing?.ok) {
+    details.push(`${sizing.scheme === "risk_parity" ? "风险平价" : "波动率目标"}仓位（目标年化波动 ${sizing.targetVol}%）：建议总仓位 ${sizing.suggestTotalPct.toFixed(0)}%`);
+    const alerts = sizing.positions.filter((p) => p.stopHit || p.alert === "stop" || p.alert === "warn");
+    for (const p of alerts.slice(0, 5)) {
+      details.push(
+        p.stopHit
+          ? `${p.name || p.code} 已跌破 ATR 止损位 ${p.stopPrice.toFixed(3)}`
+          : `${p.name || p.code} 自高点回撤 ${Math.abs(p.drawdownPct).toFixed(1)}%，${p.alert === "stop" ? "超过" : "接近"}波动警戒线`,
+      );
+    }
+  } else if (sizing && !sizing.ok) {
+    details.push(`仓位测算未完成：${sizing.reason}`);
+  }
+  // FX exposure: everything not in the base currency moves with the exchange rate.
+  const foreign = fx.exposure.filter((e) => e.currency !== fx.base);
+  if (foreign.length) {
+    details.push(`外币敞口（基准 ${fx.base}）：${foreign.map((e) => `${e.currency} ${(e.weight * 100).toFixed(1)}%`).join("，")}`);
+  }
+  if (fx.warning) details.push(`汇率不可用，市值按各自币种直接相加：${fx.warning}`);
+
+  const summary =
+    corrFlags.length && riskLevel !== concentrationLevel ? "持仓相关性/波动偏高：表面分散但实际同涨同跌，注意合并敞口" :
+    overlapFlags.length && riskLevel !== concentrationLevel ? "穿透后重仓股重叠：多只基金持有同一批股票，实际集中度高于表面" :
+    riskLevel === "极高" ? "集中度非常高：优先控制仓位与分散风险" :
+    riskLevel === "高"   ? "集中度偏高：建议分批、设置止损/回撤阈值" :
+    riskLevel === "中"   ? "集中度中等：注意相关性与单一主题暴露" :
+                           "集中度较低：注意不要为了分散而分散，仍需看质量与相关性";
+
+  const out = { ok: true, build: BUILD_ID, riskLevel, suggestTotalPct, summary, details };
+  if (fx.warning) out.fxWarning = fx.warning;
+  if (fx.multiCurrency) {
+    out.baseCurrency = fx.base;
+    out.fx = { exposure: fx.exposure, foreignWeight: foreign.reduce((s, e) => s + e.weight, 0) };
+  }
+  if (analytics) {
+    const { rets, ...rest } = analytics;
+    out.correlation = rest.ok ? { codes: rest.codes, matrix: rest.matrix } : null;
+    out.portfolio = rest.ok
+      ? {
+          vol: rest.vol,
+          avgCorrelation: rest.avgCorrelation,
+          diversificationRatio: rest.diversificationRatio,
+          effectiveBets: rest.effectiveBets,
+          lookbackDays: rest.lookbackDays,
+          from: rest.from,
+          to: rest.to,
+          coveredWeight: rest.coveredWeight,
+          concentrationLevel,
+        }
+      : { error: rest.reason, concentrationLevel };
+    out.contributions = rest.ok ? rest.positions : [];
+    out.missing = rest.missing || [];
+  }
+  if (lookThrough) out.lookThrough = lookThrough;
+  if (sizing) out.sizing = sizing;
+  res.json(out);
+});
+
+// Sizing on its own: proposed weights, expected vol and ATR stop / drawdown alert levels per position.
+app.post("/api/risk/sizing", async (req, res) => {
+  const positions = Array.isArray(req.body?.positions) ? req.body.positions : [];
+  if (!positions.length) return res.status(400).json({ ok: false, error: "positions required" });
+
+  // mv is optional here (only used for currentWeightPct), so positions are not run through cleanPositions.
+  const list = positions.filter((p) => String(p?.code || "").trim()).map((p) => ({ code: String(p.code).trim(), type: p.type, name: p.name || null, mv: Number(p.mv) || 0, currency: p.currency }));
+  const fx = await toBaseCurrency(list, { baseCurrency: req.body?.baseCurrency });
+
+  const sz = await positionSizing(fx.positions, { concurrency: req.body?.concurrency, base: fx.base, ...sizingOpts(req.body) });
+  if (!sz.ok) return res.json({ ok: false, error: sz.reason, missing: sz.missing || [] });
+  res.json({ build: BUILD_ID, ...(fx.multiCurrency ? { baseCurrency: fx.base } : {}), ...(fx.warning ? { fxWarning: fx.warning } : {}), ...sz });
+});
+
+// Look-through on its own: per-stock / per-industry exposure and overlap flags for a positions list.
+app.post("/api/risk/lookthrough", async (req, res) => {
+  const positions = Array.isArray(req.body?.positions) ? req.body.positions : [];
+  if (!positions.length) return res.status(400).json({ ok: false, error: "positions required" });
+
+  const fx = await toBaseCurrency(cleanPositions(positions), { baseCurrency: req.body?.baseCurrency });
+
+  const lt = await lookThroughExposure(fx.positions, { concurrency: req.body?.concurrency, ...lookThroughOpts(req.body) });
+  if (!lt.ok) return res.json({ ok: false, error: lt.reason });
+  res.json({ build: BUILD_ID, ...(fx.multiCurrency ? { baseCurrency: fx.base } : {}), ...(fx.warning ? { fxWarning: fx.warning } : {}), ...lt });
+});
+
+/* =========================
+   Rebalancing planner (target weights / target exposure -> trade list)
+   - positions: [{ code, type?, name?, qty? | mv?, price?, lotSize?, targetPct? }]; price defaults to the live quote
+     (CN fund: intraday estimate, else latest NAV)
+   - targets: [{ code, type?, weightPct }] or { code: weightPct }, in % of total assets (positions + cash);
+     held codes without a target are sold down to 0
+   - targetTotalPct: invested share of total assets (e.g. risk/check suggestTotalPct); alone it scales the current
+     mix, with targets it rescales them to this sum
+   - cash (base currency), minTradeAmount (base currency), tolerancePct (drift band, percentage points)
+   - fees: { default?, CN_FUND?, CN_STOCK?, ... : { buyPct, sellPct, min } } charged in the instrument's currency
+   - noSell: cash-flow-only rebalancing; available cash goes to underweights pro rata to their shortfall
+========================= */
+// Board lot per instrument type; HK lots vary per stock, so pass lotSize for HK names.
+const REBALANCE_LOT = { CN_STOCK: 100, CN_ETF: 100, HK_STOCK: 1, US_STOCK: 1, CN_FUND: 0 };
+
+function rebalanceFeeFor(fees, type) {
+  const f = (fees && typeof fees === "object" && (fees[type] || fees.default)) || {};
+  return {
+    buyPct: Math.max(0, Number(f.buyPct) || 0),
+    sellPct: Math.max(0, Number(f.sellPct) || 0),
+    min: Math.max(0, Number(f.min) || 0),
+  };
+}
+
+const tradeFee = (amount, pct, min) => (amount > 0 ? Math.max(min, (amount * pct) / 100) : 0);
+const round2 = (x) => Math.round(x * 100) / 100;
+
+// Latest price in the instrument's own currency.
+async function instrumentPrice(inst) {
+  if (inst.type === "CN_FUND") {
+    const q = await fetchCnFundQuote(inst.code);
+    const price = q.ok ? numOrNull(q.est) ?? numOrNull(q.nav) : null;
+    if (!(price > 0)) return { ok: false, reason: q.reason || "no nav" };
+    return { ok: true, price, asOf: q.est != null ? q.estTime : q.navDate, source: q.source, name: q.name || "" };
+  }
+  const q = await fetchMarketQuote(inst.code);
+  const price = q.ok ? numOrNull(q.price) : null;
+  if (!(price > 0)) return { ok: false, reason: q.reason || "no price" };
+  return { ok: true, price, asOf: q.navDate || q.date || null, source: q.source, name: q.name || "" };
+}
+
+// { code: pct } | [{ code, type?, weightPct }] | positions' targetPct -> [{ code, type, weightPct }]
+function rebalanceTargets(body, positions) {
+  const raw = body?.targets;
+  const list = Array.isArray(raw)
+    ? raw.map((t) => ({ code: t?.code, type: t?.type, weightPct: t?.weightPct ?? t?.targetPct }))
+    : raw && typeof raw === "object"
+      ? Object.entries(raw).map(([code, weightPct]) => ({ code, weightPct }))
+      : positions.filter((p) => p.targetPct != null).map((p) => ({ code: p.code, type: p.type, weightPct: p.targetPct }));
+  return list.filter((t) => String(t.code || "").trim());
+}
+
+/**
+ * Plan trades from current holdings to target weights. All money in the result is in `base` except
+ * trade.price / trade.amount / trade.fee, which are in the instrument's currency.
+ */
+async function planRebalance(body) {
+  const errors = [];
+  const warnings = [];
+  const cash = Math.max(0, Number(body?.cash) || 0);
+  const band = Math.max(0, Number(body?.tolerancePct) || 0) / 100;
+  const minTrade = Math.max(0, Number(body?.minTradeAmount) || 0);
+  const noSell = !!body?.noSell;
+  const positionsIn = (Array.isArray(body?.positions) ? body.positions : []).filter((p) => String(p?.code || "").trim());
+  const targetsIn = rebalanceTargets(body, positionsIn);
+  const targetTotalPct = body?.targetTotalPct == null ? null : Number(body.targetTotalPct);
+  if (targetTotalPct != null && !(targetTotalPct >= 0 && targetTotalPct <= 100)) return { ok: false, status: 400, error: "targetTotalPct must be 0..100" };
+  if (!targetsIn.length && targetTotalPct == null) return { ok: false, status: 400, error: "targets or targetTotalPct required" };
+
+  // One row per instrument: holdings first, then target-only codes (new buys).
+  const rows = new Map();
+  const addRow = (p, held) => {
+    const inst = resolveInstrument(p.code, p.type);
+    if (!inst.ok) {
+      errors.push({ code: inst.code || String(p.code), error: inst.reason });
+      return null;
+    }
+    if (!rows.has(inst.code)) {
+      rows.set(inst.code, {
+        inst,
+        name: p.name || null,
+        qty: held ? numOrNull(p.qty) : 0,
+        mvIn: held ? numOrNull(p.mv ?? p.amount) : 0,
+        price: numOrNull(p.price),
+        lot: numOrNull(p.lotSize) ?? REBALANCE_LOT[inst.type] ?? 1,
+        targetW: null,
+      });
+    } else if (held) {
+      const r = rows.get(inst.code);
+      r.qty = (r.qty || 0) + (numOrNull(p.qty) || 0);
+      r.mvIn = (r.mvIn || 0) + (numOrNull(p.mv ?? p.amount) || 0);
+    }
+    return rows.get(inst.code);
+  };
+  for (const p of positionsIn) addRow(p, true);
+  for (const t of targetsIn) {
+    const w = Number(t.weightPct);
+    if (!(w >= 0 && w <= 100)) {
+      errors.push({ code: String(t.code), error: "weightPct must be 0..100" });
+      continue;
+    }
+    const r = addRow(t, false);
+    if (r) r.targetW = (r.targetW || 0) + w / 100;
+  }
+  if (errors.length) return { ok: false, status: 400, error: "invalid positions/targets", errors };
+  if (!rows.size) return { ok: false, status: 400, error: "positions or targets required" };
+
+  // Price + FX into the base currency.
+  const list = Array.from(rows.values());
+  const currencies = Array.from(new Set(list.map((r) => r.inst.currency)));
+  const base = normCurrency(body?.baseCurrency) || (currencies.length === 1 ? currencies[0] : "CNY");
+  const rates = {};
+  const missing = [];
+  await runBatch(list, async (r) => {
+    if (!(r.price > 0)) {
+      const q = await instrumentPrice(r.inst);
+      if (!q.ok) {
+        missing.push({ code: r.inst.code, reason: q.reason });
+        return null;
+      }
+      r.price = q.price;
+      r.priceAsOf = q.asOf || null;
+      if (!r.name && q.name) r.name = q.name;
+    }
+    return r;
+  }, { concurrency: body?.concurrency, onError: (r, err, reason) => {
+    missing.push({ code: r.inst.code, reason });
+    return null;
+  } });
+  for (const ccy of currencies) {
+    rates[ccy] = await fxRate(ccy, base);
+    if (!rates[ccy].ok) return { ok: false, error: `fx ${ccy}->${base} unavailable: ${rates[ccy].reason}` };
+  }
+  if (missing.length) return { ok: false, error: "no price for some instruments (pass price to override)", missing };
+
+  for (const r of list) {
+    r.fx = rates[r.inst.currency].rate;
+    if (r.qty == null) r.qty = r.mvIn != null ? r.mvIn / r.price : 0;
+    r.mv = r.qty * r.price * r.fx;
+  }
+  const invested = list.reduce((s, r) => s + r.mv, 0);
+  const total = invested + cash;
+  if (!(total > 0)) return { ok: false, status: 400, error: "nothing to rebalance (no holdings and no cash)" };
+
+  // Target weights (fraction of total assets).
+  if (targetsIn.length) {
+    const sum = list.reduce((s, r) => s + (r.targetW || 0), 0);
+    if (targetTotalPct != null && sum > 0) list.forEach((r) => (r.targetW = ((r.targetW || 0) / sum) * (targetTotalPct / 100)));
+    else if (sum > 1 + 1e-6) return { ok: false, status: 400, error: `target weights sum to ${(sum * 100).toFixed(2)}% (> 100%)` };
+    for (const r of list) {
+      if (r.targetW == null) {
+        r.targetW = 0;
+        if (r.mv > 0) warnings.push(`${r.inst.code} has no target: planned as a full exit`);
+      }
+    }
+  } else {
+    list.forEach((r) => (r.targetW = invested > 0 ? (r.mv / invested) * (targetTotalPct / 100) : 0));
+  }
+
+  // Wanted change per row (base currency). With a band only rows outside it trade, and they go all the way to target.
+  for (const r of list) {
+    r.weight = r.mv / total;
+    const drift = r.weight - r.targetW;
+    r.want = noSell ? Math.max(0, (r.targetW - r.weight) * total) : Math.abs(drift) > band || (r.targetW === 0 && r.mv > 0) ? (r.targetW - r.weight) * total : 0;
+    if (!r.want && Math.abs(drift) > 1e-9 && !noSell) r.skip = `within ±${(band * 100).toFixed(2)}pp band`;
+  }
+
+  const trades = [];
+  const skipped = [];
+  const lotQty = (q, lot) => (lot > 0 ? Math.floor(q / lot + 1e-9) * lot : Math.floor(q * 100) / 100);
+
+  // Sells first: their proceeds fund the buys.
+  let available = cash;
+  if (!noSell) {
+    for (const r of list.filter((x) => x.want < 0)) {
+      const fee = rebalanceFeeFor(body?.fees, r.inst.type);
+      const exit = r.targetW === 0;
+      const qty = exit ? r.qty : Math.min(r.qty, lotQty(-r.want / r.fx / r.price, r.lot));
+      const amount = qty * r.price;
+      if (!(qty > 0)) {
+        skipped.push({ code: r.inst.code, side: "sell", reason: `below one lot (${r.lot})` });
+        continue;
+      }
+      if (amount * r.fx < minTrade) {
+        skipped.push({ code: r.inst.code, side: "sell", reason: `below minTradeAmount ${minTrade}` });
+        continue;
+      }
+      const f = tradeFee(amount, fee.sellPct, fee.min);
+      r.qtyAfter = r.qty - qty;
+      r.mvAfter = r.qtyAfter * r.price * r.fx;
+      available += (amount - f) * r.fx;
+      trades.push({ code: r.inst.code, name: r.name, type: r.inst.type, side: "sell", qty, price: r.price, currency: r.inst.currency, amount, fee: f, amountBase: amount * r.fx, feeBase: f * r.fx, exit });
+    }
+  }
+
+  // Buys: scaled down pro rata when the wanted total exceeds available cash.
+  const buys = list.filter((x) => x.want > 0);
+  const wanted = buys.reduce((s, r) => s + r.want, 0);
+  const scale = wanted > available ? available / wanted : 1;
+  if (scale < 0.999) warnings.push(`cash covers ${(scale * 100).toFixed(1)}% of the planned buys; buys scaled down`);
+  for (const r of buys) {
+    const fee = rebalanceFeeFor(body?.fees, r.inst.type);
+    const budget = (r.want * scale) / r.fx; // instrument currency, fee included
+    let qty, amount, f;
+    if (r.inst.type === "CN_FUND") {
+      // Funds are bought by amount; the fee comes out of it.
+      amount = Math.floor(budget * 100) / 100;
+      f = tradeFee(amount, fee.buyPct, fee.min);
+      qty = amount > f ? (amount - f) / r.price : 0;
+    } else {
+      qty = lotQty(budget / (r.price * (1 + fee.buyPct / 100)), r.lot);
+      while (qty > 0 && qty * r.price + tradeFee(qty * r.price, fee.buyPct, fee.min) > budget + 1e-9) qty -= r.lot || 1;
+      amount = qty * r.price;
+      f = tradeFee(amount, fee.buyPct, fee.min);
+      amount += f; // cash out of the account
+    }
+    if (!(qty > 0)) {
+      skipped.push({ code: r.inst.code, side: "buy", reason: r.lot ? `budget below one lot (${r.lot})` : "budget below fee" });
+      continue;
+    }
+    if (amount * r.fx < minTrade) {
+      skipped.push({ code: r.inst.code, side: "buy", reason: `below minTradeAmount ${minTrade}` });
+      continue;
+    }
+    r.qtyAfter = r.qty + qty;
+    r.mvAfter = r.qtyAfter * r.price * r.fx;
+    available -= amount * r.fx;
+    trades.push({ code: r.inst.code, name: r.name, type: r.inst.type, side: "buy", qty, price: r.price, currency: r.inst.currency, amount, fee: f, amountBase: amount * r.fx, feeBase: f * r.fx, exit: false });
+  }
+  for (const r of list) if (r.skip) skipped.push({ code: r.inst.code, side: r.targetW > r.weight ? "buy" : "sell", reason: r.skip });
+
+  const totalAfter = list.reduce((s, r) => s + (r.mvAfter ?? r.mv), 0) + available;
+  const drift = (wOf) => list.reduce((s, r) => s + Math.abs(wOf(r) - r.targetW), 0) / 2;
+  const fees = trades.reduce((s, t) => s + t.feeBase, 0);
+
+  return {
+    ok: true,
+    baseCurrency: base,
+    mode: noSell ? "no_sell" : "full",
+    params: { cash, tolerancePct: band * 100, minTradeAmount: minTrade, targetTotalPct },
+    trades: trades.map((t) => ({ ...t, qty: t.type === "CN_FUND" ? round2(t.qty) : t.qty, amount: round2(t.amount), fee: round2(t.fee), amountBase: round2(t.amountBase), feeBase: round2(t.feeBase) })),
+    skipped,
+    positions: list.map((r) => ({
+      code: r.inst.code,
+      name: r.name,
+      type: r.inst.type,
+      currency: r.inst.currency,
+      price: r.price,
+      priceAsOf: r.priceAsOf || null,
+      fxRate: r.fx,
+      qty: r.qty,
+      qtyAfter: r.qtyAfter ?? r.qty,
+      mv: r.mv,
+      mvAfter: r.mvAfter ?? r.mv,
+      weightPct: r.weight * 100,
+      targetPct: r.targetW * 100,
+      weightAfterPct: ((r.mvAfter ?? r.mv) / totalAfter) * 100,
+    })),
+    summary: {
+      totalValue: total,
+      cashBefore: cash,
+      cashAfter: available,
+      investedPctBefore: (invested / total) * 100,
+      investedPctAfter: ((totalAfter - available) / totalAfter) * 100,
+      buyAmount: trades.filter((t) => t.side === "buy").reduce((s, t) => s + t.amountBase, 0),
+      sellAmount: trades.filter((t) => t.side === "sell").reduce((s, t) => s + t.amountBase, 0),
+      fees,
+      turnoverPct: (trades.reduce((s, t) => s + t.amountBase, 0) / total) * 100,
+      driftPctBefore: drift((r) => r.weight) * 100,
+      driftPctAfter: drift((r) => (r.mvAfter ?? r.mv) / totalAfter) * 100,
+    },
+    warnings,
+  };
+}
+
+app.post("/api/portfolio/rebalance", async (req, res) => {
+  const plan = await planRebalance(req.body);
+  if (!plan.ok) {
+    const { status, ...rest } = plan;
+    return res.status(status || 200).json(rest);
+  }
+  res.json({ build: BUILD_ID, ...plan });
+});
+
+/* =========================
+   Tail risk: historical/parametric VaR + CVaR and stress-scenario replay
+========================= */
+const STRESS_SCENARIOS = [
+  { id: "covid_2020", name: "2020 新冠暴跌", start: "2020-02-19", end: "2020-03-23" },
+  { id: "nasdaq_2022", name: "2022 纳指回撤", start: "2021-11-19", end: "2022-12-28" },
+  { id: "a_share_2015", name: "2015 A股股灾", start: "2015-06-12", end: "2015-08-26" },
+  { id: "a_share_2018", name: "2018 A股熊市/贸易摩擦", start: "2018-01-24", end: "2019-01-03" },
+];
+// Stand-ins for positions that did not exist during a scenario window.
+const STRESS_PROXIES = { CN: "510300.SH", HK: "2800.HK", US: "SPY" };
+
+// Inverse standard normal CDF (Acklam's rational approximation, |err| < 1.2e-9).
+function normInv(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const pl = 0.02425;
+  if (p <= 0 || p >= 1) return NaN;
+  if (p < pl) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - pl) return -normInv(1 - p);
+  const q = p - 0.5, r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+function normPdf(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+// Loss-side VaR/CVaR (positive % numbers) from a sample of returns.
+function historicalVar(rets, conf) {
+  const sorted = rets.slice().sort((a, b) => a - b);
+  const k = Math.max(1, Math.floor(sorted.length * (1 - conf)));
+  const tail = sorted.slice(0, k);
+  return { var: -sorted[k - 1] * 100, cvar: (-tail.reduce((s, x) => s + x, 0) / tail.length) * 100 };
+}
+function parametricVar(mean, sd, conf, horizon) {
+  const z = normInv(1 - conf);
+  const mu = mean * horizon, sig = sd * Math.sqrt(horizon);
+  return { var: -(mu + z * sig) * 100, cvar: -(mu - (sig * normPdf(z)) / (1 - conf)) * 100 };
+}
+
+function varTable(portRets, { confidences, horizons, total }) {
+  const T = portRets.length;
+  const mean = portRets.reduce((s, x) => s + x, 0) / T;
+  const sd = stdev(portRets) || 0;
+  const rows = [];
+  for (const h of horizons) {
+    // h-day historical: overlapping compounded windows when the sample allows, else sqrt-of-time scaling.
+    let hRets = null, hMethod = "overlapping";
+    if (h === 1) {
+      hRets = portRets;
+      hMethod = "daily";
+    } else if (T >= h * 10) {
+      hRets = [];
+      for (let i = 0; i + h <= T; i++) hRets.push(portRets.slice(i, i + h).reduce((p, r) => p * (1 + r), 1) - 1);
+    } else {
+      hMethod = "sqrt_time";
+    }
+    for (const conf of confidences) {
+      let hist = hRets ? historicalVar(hRets, conf) : null;
+      if (!hist) {
+        const d = historicalVar(portRets, conf);
+        hist = { var: d.var * Math.sqrt(h), cvar: d.cvar * Math.sqrt(h) };
+      }
+      const para = parametricVar(mean, sd, conf, h);
+      rows.push({
+        horizon: h,
+        confidence: conf,
+        historical: { ...hist, varAmount: (hist.var / 100) * total, cvarAmount: (hist.cvar / 100) * total, method: hMethod },
+        parametric: { ...para, varAmount: (para.var / 100) * total, cvarAmount: (para.cvar / 100) * total },
+      });
+    }
+  }
+  return rows;
+}
+
+// Close on or before `date` (or the first bar after it when the series starts inside the window).
+function closeAt(series, date, { after = false } = {}) {
+  let hit = null;
+  for (const b of series) {
+    if (b.date <= date) hit = b;
+    else {
+      if (!hit && after) hit = b;
+      break;
+    }
+  }
+  return hit;
+}
+
+function windowReturn(series, start, end) {
+  if (!series?.length || series[0].date > start) return null;
+  const a = closeAt(series, start), b = closeAt(series, end);
+  if (!a || !b || !(a.close > 0) || b.date <= a.date) return null;
+  return b.close / a.close - 1;
+}
+
+async function stressTest(positions, scenarios, { proxies = STRESS_PROXIES, total, concurrency, base = null } = {}) {
+  const longHist = (code, type) => fetchHistoryFor(code, type, BACKTEST_MAX_DAYS, { full: true });
+  const hists = await runBatch(positions, (p) => longHist(p.code, p.type), {
+    concurrency,
+    onError: (p, err, reason) => ({ code: p.code, market: "", hist: { ok: false, reason } }),
+  });
+  const proxyHist = {};
+  // Proxies resolve from their own code (510300.SH is an ETF, not a CN fund); the key is only the market they stand in for.
+  for (const [market, code] of Object.entries(proxies || {})) {
+    if (code) proxyHist[market] = { code, ...(await longHist(code)) };
+  }
+  // Scenario returns in the base currency when one is set (FX moves are part of the stress).
+  const fxCache = {};
+  const inBase = async (hist) => {
+    const series = analysisSeries(hist.series);
+    if (!base || !hist.currency || hist.currency === base) return series;
+    if (!fxCache[hist.currency]) fxCache[hist.currency] = await fxSeries(hist.currency, base, BACKTEST_MAX_DAYS);
+    return fxCache[hist.currency].ok ? convertSeries(series, fxCache[hist.currency]) : series;
+  };
+  const seriesByPos = [];
+  for (const h of hists) seriesByPos.push(h?.hist?.ok ? await inBase(h.hist) : null);
+  const proxySeries = {};
+  for (const [market, px] of Object.entries(proxyHist)) if (px.hist?.ok) proxySeries[market] = { code: px.code, series: await inBase(px.hist) };
+
+  return scenarios.map((sc) => {
+    let pnlPct = 0, covered = 0;
+    const rows = positions.map((p, i) => {
+      const h = hists[i];
+      const series = seriesByPos[i];
+      let ret = series ? windowReturn(series, sc.start, sc.end) : null;
+      let proxy = null;
+      if (ret == null) {
+        const px = proxySeries[h?.market || resolveInstrument(p.code, p.type).market];
+        if (px) {
+          ret = windowReturn(px.series, sc.start, sc.end);
+          if (ret != null) proxy = px.code;
+        }
+      }
+      if (ret != null) {
+        pnlPct += p.weight * ret;
+        covered += p.weight;
+      }
+      return {
+        code: h?.code || p.code,
+        name: p.name || null,
+        weight: p.weight,
+        retPct: ret == null ? null : ret * 100,
+        pnl: ret == null ? null : ret * p.weight * total,
+        proxy,
+      };
+    });
+    return { ...sc, pnlPct: pnlPct * 100, pnl: pnlPct * total, coveredWeight: covered, positions: rows };
+  });
+}
+
+app.post("/api/risk/var", async (req, res) => {
+  const positions = Array.isArray(req.body?.positions) ? req.body.positions : [];
+  if (!positions.length) return res.status(400).json({ ok: false, error: "positions required" });
+
+  const fx = await toBaseCurrency(cleanPositions(positions), { baseCurrency: req.body?.baseCurrency });
+  const cleaned = fx.positions;
+  const total = cleaned.reduce((s, p) => s + p.mv, 0);
+  if (total <= 0) return res.status(400).json({ ok: false, error: "持仓市值为0" });
+  const weighted = cleaned.map((p) => ({ ...p, weight: p.mv / total }));
+
+  const lookback = Math.min(1000, Math.max(60, Number(req.body?.lookback) || 250));
+  const confidences = (Array.isArray(req.body?.confidences) ? req.body.confidences : [0.95, 0.99])
+    .map(Number)
+    .filter((c) => c > 0.5 && c < 1);
+  const horizons = (Array.isArray(req.body?.horizons) ? req.body.horizons : [1, 10])
+    .map((h) => Math.floor(Number(h)))
+    .filter((h) => h >= 1 && h <= 60);
+
+  const out = { ok: true, build: BUILD_ID, total, lookback };
+  if (fx.warning) out.fxWarning = fx.warning;
+  if (fx.multiCurrency) {
+    out.baseCurrency = fx.base;
+    out.fx = { exposure: fx.exposure };
+  }
+
+  // VaR / CVaR on the weighted daily return of the positions that have history.
+  const an = await positionRiskAnalytics(weighted, { lookback, concurrency: req.body?.concurrency, base: fx.base, minPositions: 1 });
+  if (an.ok) {
+    const w = an.positions.map((p) => p.weight);
+    const portRets = an.rets[0].map((_, t) => an.rets.reduce((s, r, i) => s + w[i] * r[t], 0));
+    // Covered-weight scaling: missing positions are assumed to behave like the covered book.
+    out.var = { ok: true, days: portRets.length, from: an.from, to: an.to, coveredWeight: an.coveredWeight, missing: an.missing, rows: varTable(portRets, { confidences, horizons, total }) };
+  } else {
+    out.var = { ok: false, error: an.reason, missing: an.missing };
+  }
+
+  // Stress scenarios: built-ins, a subset by id, or custom {id, name, start, end} windows.
+  if (req.body?.scenarios !== false) {
+    const rawSc = Array.isArray(req.body?.scenarios) ? req.body.scenarios : null;
+    const scenarios = !rawSc ? STRESS_SCENARIOS : rawSc
+      .map((x) => (typeof x === "string" ? STRESS_SCENARIOS.find((s) => s.id === x) : x))
+      .filter((x) => x && /^\d{4}-\d{2}-\d{2}$/.test(String(x.start)) && /^\d{4}-\d{2}-\d{2}$/.test(String(x.end)) && x.start < x.end)
+      .map((x) => ({ id: String(x.id || `${x.start}_${x.end}`), name: String(x.name || x.id || ""), start: x.start, end: x.end }));
+    out.scenarios = await stressTest(weighted, scenarios, {
+      proxies: { ...STRESS_PROXIES, ...(req.body?.proxies || {}) },
+      total,
+      concurrency: req.body?.concurrency,
+      base: fx.base,
+    });
+  }
+
+  res.json(out);
+});
+
+/* =========================
+   Backtest (long-only, all-in/all-out, signal on close t -> fill on close t+1)
+========================= */
+const BACKTEST_MAX_DAYS = 5000;
+
+function normalizeStrategy(raw) {
+  const st = raw && typeof raw === "object" ? raw : { type: raw };
+  const type = String(st.type || "buy_hold").toLowerCase();
+  const int = (v, d) => (isFinite(Number(v)) && Number(v) > 0 ? Math.floor(Number(v)) : d);
+  const num = (v, d) => (isFinite(Number(v)) ? Number(v) : d);
+  if (type === "ma_cross") {
+    const fast = int(st.fast, 20), slow = int(st.slow, 60);
+    if (fast >= slow) return { error: "ma_cross requires fast < slow" };
+    return { type, fast, slow, ma: String(st.ma || "sma").toLowerCase() === "ema" ? "ema" : "sma" };
+  }
+  if (type === "rsi") {
+    const buyBelow = num(st.buyBelow, 30), sellAbove = num(st.sellAbove, 70);
+    if (buyBelow >= sellAbove) return { error: "rsi requires buyBelow < sellAbove" };
+    return { type, period: int(st.period, 14), buyBelow, sellAbove, method: st.method === "wilder" ? "wilder" : "simple" };
+  }
+  if (type === "macd_hist") return { type };
+  if (type === "buy_hold") return { type };
+  return { error: `unknown strategy type: ${type}` };
+}
+
+// Desired position (1 = long, 0 = flat, null = keep) per bar; stateful rules use the previous value.
+function strategySignals(strategy, closes) {
+  if (strategy.type === "buy_hold") return closes.map(() => 1);
+  if (strategy.type === "ma_cross") {
+    const f = strategy.ma === "ema" ? emaSeries(closes, strategy.fast) : smaSeries(closes, strategy.fast);
+    const sl = strategy.ma === "ema" ? emaSeries(closes, strategy.slow) : smaSeries(closes, strategy.slow);
+    return closes.map((_, i) => (f[i] == null || sl[i] == null ? null : f[i] > sl[i] ? 1 : 0));
+  }
+  if (strategy.type === "rsi") {
+    const r = strategy.method === "wilder" ? rsiWilderSeries(closes, strategy.period) : rsiSimpleSeries(closes, strategy.period);
+    return r.map((v) => (v == null ? null : v < strategy.buyBelow ? 1 : v > strategy.sellAbove ? 0 : null));
+  }
+  if (strategy.type === "macd_hist") {
+    return macdSeries(closes).map((x) => (x.hist == null ? null : x.hist > 0 ? 1 : 0));
+  }
+  return closes.map(() => null);
+}
+
+/**
+ * Run a strategy over bars[from..]; indicators see the whole series so warm-up happens before `from`.
+ * Costs are charged per side: feeBps on traded value, slippageBps moves the fill price against us.
+ */
+function runBacktest(bars, strategy, { from = 0, initialCash = 10000, feeBps = 0, slippageBps = 0 } = {}) {
+  const closes = bars.map((b) => b.close);
+  const signals = strategySignals(strategy, closes);
+  const fee = feeBps / 10000, slip = slippageBps / 10000;
+
+  let cash = initialCash, units = 0, pos = 0, pending = null, open = null, exposed = 0;
+  const trades = [], equity = [];
+  for (let i = from; i < bars.length; i++) {
+    const px = closes[i];
+    if (pending != null && pending !== pos) {
+      if (pending === 1) {
+        const fill = px * (1 + slip);
+        const cost = cash * fee;
+        units = (cash - cost) / fill;
+        open = { entryDate: bars[i].date, entryPrice: fill, entryValue: cash };
+        cash = 0;
+      } else {
+        const fill = px * (1 - slip);
+        const gross = units * fill;
+        cash = gross - gross * fee;
+        trades.push({
+          entryDate: open.entryDate,
+          entryPrice: open.entryPrice,
+          exitDate: bars[i].date,
+          exitPrice: fill,
+          retPct: (cash / open.entryValue - 1) * 100,
+        });
+        units = 0;
+        open = null;
+      }
+      pos = pending;
+    }
+    pending = null;
+    if (signals[i] != null && signals[i] !== pos && i < bars.length - 1) pending = signals[i];
+    if (pos === 1) exposed++;
+    equity.push({ date: bars[i].date, equity: cash + units * px, position: pos });
+  }
+  if (open) {
+    const lastPx = closes[closes.length - 1];
+    trades.push({ entryDate: open.entryDate, entryPrice: open.entryPrice, exitDate: null, exitPrice: lastPx, retPct: ((units * lastPx) / open.entryValue - 1) * 100, open: true });
+  }
+
+  const closed = trades.filter((t) => !t.open);
+  const wins = closed.filter((t) => t.retPct > 0).length;
+  return {
+    equity,
+    trades,
+    metrics: {
+      ...perfStats(equity),
+      finalEquity: equity.length ? equity[equity.length - 1].equity : initialCash,
+      trades: closed.length,
+      winRate: closed.length ? (wins / closed.length) * 100 : null,
+      exposurePct: equity.length ? (exposed / equity.length) * 100 : null,
+    },
+  };
+}
+
+app.post("/api/backtest", async (req, res) => {
+  const codeRaw = String(req.body?.code || req.body?.symbol || "").trim();
+  if (!codeRaw) return res.status(400).json({ ok: false, error: "code/symbol required" });
+
+  const strategy = normalizeStrategy(req.body?.strategy);
+  if (strategy.error) return res.status(400).json({ ok: false, error: strategy.error });
+
+  const start = String(req.body?.start || "").slice(0, 10);
+  const end = String(req.body?.end || "").slice(0, 10);
+  const initialCash = Number(req.body?.initialCash) > 0 ? Number(req.body.initialCash) : 10000;
+  const feeBps = Math.max(0, Number(req.body?.feeBps) || 0);
+  const slippageBps = Math.max(0, Number(req.body?.slippageBps) || 0);
+
+  const { code, market, hist } = await fetchHistoryFor(codeRaw, req.body?.type, BACKTEST_MAX_DAYS, { full: true });
+  if (!hist.ok) return res.json({ ok: false, code, error: hist.reason || "history failed", debug: hist.debug || null });
+
+  const adjusted = req.body?.adjusted !== false;
+  const bars = analysisSeries(hist.series, adjusted).filter((b) => typeof b.close === "number" && (!end || b.date <= end));
+  let from = start ? bars.findIndex((b) => b.date >= start) : 0;
+  if (from < 0) from = bars.length;
+  if (bars.length - from < 2) return res.json({ ok: false, code, error: "not enough bars in range", count: bars.length - from });
+
+  const bt = runBacktest(bars, strategy, { from, initialCash, feeBps, slippageBps });
+  // Buy-and-hold over the same window, same costs: the baseline every strategy should beat.
+  const base = strategy.type === "buy_hold" ? bt : runBacktest(bars, { type: "buy_hold" }, { from, initialCash, feeBps, slippageBps });
+
+  res.json({
+    ok: true,
+    build: BUILD_ID,
+    code,
+    market,
+    source: hist.source,
+    ...staleInfo(hist),
+    strategy,
+    adjusted,
+    range: { start: bars[from].date, end: bars[bars.length - 1].date, bars: bars.length - from },
+    costs: { feeBps, slippageBps, initialCash },
+    metrics: bt.metrics,
+    baseline: base.metrics,
+    trades: bt.trades,
+    equity: bt.equity,
+  });
+});
+
+/* =========================
+   DCA (定投) simulator
+   - weekly/monthly contributions, filled on the first trading day on/after the scheduled date
+   - subscription fee charged 外扣法: shares = amount / (1 + fee) / nav
+   - smart DCA scales each contribution by SMA deviation or RSI bucket
+========================= */
+const SMART_DCA_DEFAULTS = {
+  // Deviation of close from its SMA, in %: first matching `below` wins.
+  sma: [
+    { below: -10, mult: 2 },
+    { below: -5, mult: 1.5 },
+    { below: 0, mult: 1.2 },
+    { below: 5, mult: 1 },
+    { below: 10, mult: 0.8 },
+    { below: Infinity, mult: 0.5 },
+  ],
+  rsi: [
+    { below: 30, mult: 1.5 },
+    { below: 50, mult: 1.2 },
+    { below: 70, mult: 1 },
+    { below: Infinity, mult: 0.6 },
+  ],
+};
+
+function normalizeSmartDca(raw) {
+  if (!raw) return null;
+  const mode = String(raw.mode || raw.type || "").toLowerCase();
+  if (mode !== "sma" && mode !== "rsi") return { error: "smart.mode must be sma or rsi" };
+  const period = Math.floor(Number(raw.period)) > 1 ? Math.floor(Number(raw.period)) : (mode === "sma" ? 250 : 14);
+  const buckets = Array.isArray(raw.buckets) && raw.buckets.length
+    ? raw.buckets
+        .map((b) => ({ below: b.below == null ? Infinity : Number(b.below), mult: Number(b.mult) }))
+        .filter((b) => !isNaN(b.below) && isFinite(b.mult) && b.mult >= 0)
+        .sort((a, b) => a.below - b.below)
+    : SMART_DCA_DEFAULTS[mode];
+  return { mode, period, buckets };
+}
+
+function bucketMult(buckets, x) {
+  if (x == null) return 1;
+  const b = buckets.find((b) => x < b.below);
+  return b ? b.mult : 1;
+}
+
+// Index of the bar that fills each scheduled contribution (first bar on/after each scheduled date).
+// A date with no bar left in its week/month (holiday, weekend 28th) still fills on the next bar, even in the
+// next period; that bar then appears twice.
+function dcaScheduleIdx(bars, from, { frequency, weekday, dayOfMonth }) {
+  if (from >= bars.length) return [];
+  const d = new Date(`${bars[from].date}T00:00:00Z`);
+  const y = d.getUTCFullYear(), m = d.getUTCMonth();
+  const dow = d.getUTCDay() || 7;
+  // Scheduled dates from the first bar's week/month on (one that already passed fills on the first bar).
+  const dateAt = frequency === "weekly"
+    ? (n) => new Date(Date.UTC(y, m, d.getUTCDate() - (dow - 1) + weekday - 1 + 7 * n)).toISOString().slice(0, 10)
+    : (n) => new Date(Date.UTC(y, m + n, dayOfMonth)).toISOString().slice(0, 10);
+  const lastDate = bars[bars.length - 1].date;
+  const idx = [];
+  let i = from;
+  for (let n = 0, due = dateAt(0); due <= lastDate; due = dateAt(++n)) {
+    while (bars[i].date < due) i++;
+    idx.push(i);
+  }
+  return idx;
+}
+
+app.post("/api/sim/dca", async (req, res) => {
+  const codeRaw = String(req.body?.code || req.body?.symbol || "").trim();
+  if (!codeRaw) return res.status(400).json({ ok: false, error: "code required" });
+
+  const amount = Number(req.body?.amount);
+  if (!(amount > 0)) return res.status(400).json({ ok: false, error: "amount must be > 0" });
+  const frequency = String(req.body?.frequency || "monthly") === "weekly" ? "weekly" : "monthly";
+  const weekday = Math.min(5, Math.max(1, Math.floor(Number(req.body?.weekday) || 1)));
+  const dayOfMonth = Math.min(28, Math.max(1, Math.floor(Number(req.body?.dayOfMonth) || 1)));
+  const feeRate = Math.max(0, Number(req.body?.feeRate) || 0); // percent, e.g. 0.15
+  const smart = normalizeSmartDca(req.body?.smart);
+  if (smart?.error) return res.status(400).json({ ok: false, error: smart.error });
+  const start = String(req.body?.start || "").slice(0, 10);
+  const end = String(req.body?.end || "").slice(0, 10);
+
+  const { code, market, hist } = await fetchHistoryFor(codeRaw, req.body?.type, BACKTEST_MAX_DAYS, { full: true });
+  if (!hist.ok) return res.json({ ok: false, code, error: hist.reason || "history failed", debug: hist.debug || null });
+
+  // Adjusted NAV by default == dividends reinvested (红利再投资).
+  const adjusted = req.body?.adjusted !== false;
+  const bars = analysisSeries(hist.series, adjusted).filter((b) => typeof b.close === "number" && (!end || b.date <= end));
+  let from = start ? bars.findIndex((b) => b.date >= start) : 0;
+  if (from < 0 || from >= bars.length) return res.json({ ok: false, code, error: "no bars in range" });
+
+  const closes = bars.map((b) => b.close);
+  const signal = !smart ? null
+    : smart.mode === "sma" ? smaSeries(closes, smart.period).map((m, i) => (m ? (closes[i] / m - 1) * 100 : null))
+    : rsiSimpleSeries(closes, smart.period);
+
+  const schedule = [];
+  const flows = [];
+  let shares = 0, invested = 0, fees = 0;
+  // bar index -> contributions filled there (2 when a missed date carries over onto a scheduled one)
+  const fills = {};
+  for (const i of dcaScheduleIdx(bars, from, { frequency, weekday, dayOfMonth })) fills[i] = (fills[i] || 0) + 1;
+  const curve = [];
+  for (let i = from; i < bars.length; i++) {
+    const nav = closes[i];
+    for (let n = 0; n < (fills[i] || 0); n++) {
+      const mult = smart ? bucketMult(smart.buckets, signal[i]) : 1;
+      const amt = amount * mult;
+      if (amt > 0) {
+        const net = amt / (1 + feeRate / 100);
+        const sh = net / nav;
+        shares += sh;
+        invested += amt;
+        fees += amt - net;
+        flows.push({ date: bars[i].date, amount: -amt });
+        schedule.push({ date: bars[i].date, nav, amount: amt, fee: amt - net, shares: sh, multiplier: mult, signal: signal ? signal[i] : null });
+      }
+    }
+    curve.push({ date: bars[i].date, invested, value: shares * nav });
+  }
+  if (!schedule.length) return res.json({ ok: false, code, error: "no contributions in range" });
+
+  const last = bars[bars.length - 1];
+  const endingValue = shares * last.close;
+  flows.push({ date: last.date, amount: endingValue });
+
+  res.json({
+    ok: true,
+    build: BUILD_ID,
+    code,
+    market,
+    source: hist.source,
+    ...staleInfo(hist),
+    params: { amount, frequency, weekday, dayOfMonth, feeRate, smart, adjusted },
+    range: { start: bars[from].date, end: last.date },
+    summary: {
+      contributions: schedule.length,
+      totalInvested: invested,
+      totalFees: fees,
+      shares,
+      avgCost: shares ? invested / shares : null,
+      endingNav: last.close,
+      endingValue,
+      profit: endingValue - invested,
+      returnPct: invested ? (endingValue / invested - 1) * 100 : null,
+      irr: xirr(flows),
+    },
+    schedule,
+    curve,
+  });
+});
+
+/* =========================
+   Transaction ledger (persisted in DATA_DIR/ledger.json)
+   Tx: { id, portfolio, date, type: buy|sell|dividend|fee, code?, instType?, qty?, price?, amount?, fee?, currency, note? }
+   - buy/sell: qty + price, or amount (+ price); a missing price is the close/NAV on that date
+     (so a CN fund 申购 can be entered as just an amount)
+   - dividend: amount = cash received; qty = units reinvested (红利再投) instead of cash
+   - fee: account-level cost (amount), code optional
+========================= */
+const LEDGER_FILE = process.env.LEDGER_FILE || path.join(DATA_DIR, "ledger.json");
+const TX_TYPES = ["buy", "sell", "dividend", "fee"];
+
+function loadLedger() {
+  try {
+    const j = JSON.parse(fs.readFileSync(LEDGER_FILE, "utf8"));
+    return { transactions: Array.isArray(j?.transactions) ? j.transactions : [] };
+  } catch (e) {
+    if (e?.code !== "ENOENT") console.error(`[LEDGER] load failed file=${LEDGER_FILE}`, e?.message || e);
+    return { transactions: [] };
+  }
+}
+
+// Written straight away (tmp + rename): ledger edits are rare and must not wait for a flush timer.
+function saveLedger() {
+  fs.mkdirSync(path.dirname(LEDGER_FILE), { recursive: true });
+  const tmp = `${LEDGER_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(LEDGER, null, 1));
+  fs.renameSync(tmp, LEDGER_FILE);
+}
+
+const LEDGER = loadLedger();
+
+function normPortfolioId(x) {
+  return String(x || "default").trim().slice(0, 64) || "default";
+}
+
+// Request row -> { ok, tx } or { ok:false, error }.
+function normalizeTx(raw, portfolio) {
+  const type = String(raw?.type || "").trim().toLowerCase();
+  if (!TX_TYPES.includes(type)) return { ok: false, error: `type must be one of ${TX_TYPES.join("/")}` };
+  const date = String(raw?.date || "").slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) return { ok: false, error: "date must be YYYY-MM-DD" };
+
+  const qty = numOrNull(raw?.qty), price = numOrNull(raw?.price), amount = numOrNull(raw?.amount), fee = numOrNull(raw?.fee);
+  for (const [k, v] of Object.entries({ qty, price, amount, fee })) {
+    if (v != null && !(v >= 0)) return { ok: false, error: `${k} must be >= 0` };
+  }
+
+  let inst = null;
+  if (String(raw?.code || "").trim()) {
+    inst = resolveInstrument(raw.code, raw.instType ?? raw.assetType);
+    if (!inst.ok) return { ok: false, error: inst.reason };
+  } else if (type !== "fee") {
+    return { ok: false, error: "code required" };
+  }
+
+  if ((type === "buy" || type === "sell") && !(qty > 0) && !(amount > 0)) return { ok: false, error: `${type} needs qty or amount` };
+  if (type === "dividend" && !(amount > 0) && !(qty > 0)) return { ok: false, error: "dividend needs amount (cash) or qty (reinvested)" };
+  if (type === "fee" && !(amount > 0)) return { ok: false, error: "fee needs amount" };
+
+  const currency = normCurrency(raw?.currency) || inst?.currency || "CNY";
+  const tx = {
+    id: crypto.randomUUID(),
+    portfolio,
+    date,
+    type,
+    code: inst?.code || null,
+    instType: inst?.type || null,
+    qty,
+    price,
+    amount,
+    fee: fee || 0,
+    currency,
+    note: raw?.note ? String(raw.note).slice(0, 200) : "",
+    createdAt: new Date().toISOString(),
+  };
+  return { ok: true, tx };
+}
+
+/* ---- Performance: replay the ledger over daily closes ----
+   No cash account: buys and fees are money put in, sells and cash dividends are money taken out,
+   so value = holdings at market. Closes are raw (unadjusted) because dividends are in the ledger.
+   Money figures (cost, P&L, curve) are in the base currency; lastPrice stays in the instrument's own.
+*/
+
+// As-of lookup over a date-sorted [{date, close}] list; call with non-decreasing dates.
+function asOfCursor(series) {
+  let j = 0, last = null;
+  return (date) => {
+    while (j < series.length && series[j].date <= date) last = series[j++].close;
+    return last;
+  };
+}
+
+async function ledgerPerformance(txs, { baseCurrency, concurrency } = {}) {
+  const sorted = txs.slice().sort((a, b) => a.date.localeCompare(b.date) || a.createdAt.localeCompare(b.createdAt));
+  if (!sorted.length) return { ok: false, reason: "no transactions" };
+  const currencies = Array.from(new Set(sorted.map((t) => t.currency)));
+  const base = normCurrency(baseCurrency) || (currencies.length === 1 ? currencies[0] : "CNY");
+  const start = sorted[0].date;
+  // Bars back to the first transaction: calendar days is a safe upper bound for any trading calendar.
+  const days = Math.min(BACKTEST_MAX_DAYS, Math.ceil(yearsBetween(start, new Date().toISOString().slice(0, 10)) * 365.25) + 30);
+
+  const codes = Array.from(new Set(sorted.filter((t) => t.code).map((t) => t.code)));
+  const typeOf = Object.fromEntries(sorted.filter((t) => t.code).map((t) => [t.code, t.instType]));
+  const hists = await runBatch(codes, async (code) => ({ code, ...(await fetchHistoryFor(code, typeOf[code], days, { full: true })) }), {
+    concurrency,
+    onError: (code, err, reason) => ({ code, hist: { ok: false, reason } }),
+  });
+  const series = {};
+  const missing = [];
+  for (const h of hists) {
+    if (h.hist?.ok) series[h.code] = h.hist.series.filter((b) => b.close > 0 && b.date >= start);
+    else missing.push({ code: h.code, reason: h.hist?.reason || "history failed" });
+  }
+  const usable = sorted.filter((t) => !t.code || series[t.code]);
+
+  const fx = {};
+  for (const ccy of currencies) {
+    if (ccy === base) continue;
+    const r = await fxSeries(ccy, base, days);
+    if (!r.ok) return { ok: false, reason: `fx ${ccy}->${base} unavailable: ${r.reason}` };
+    fx[ccy] = r.series;
+  }
+
+  const dates = Array.from(new Set([...usable.map((t) => t.date), ...Object.values(series).flatMap((s) => s.map((b) => b.date))]))
+    .filter((d) => d >= start)
+    .sort();
+  const priceAt = Object.fromEntries(Object.entries(series).map(([c, s]) => [c, asOfCursor(s)]));
+  const fxAt = Object.fromEntries(Object.entries(fx).map(([c, s]) => [c, asOfCursor(s)]));
+  const ccyOf = Object.fromEntries(usable.filter((t) => t.code).map((t) => [t.code, t.currency]));
+
+  // code -> { qty, cost, realized, income, fees, otherFees } in base currency; fees = all fees paid,
+  // otherFees = standalone fee rows (buy/sell fees are already inside cost / proceeds).
+  const pos = {};
+  const book = (code) => (pos[code] ||= { qty: 0, cost: 0, realized: 0, income: 0, fees: 0, otherFees: 0 });
+  const flows = [];
+  const curve = [];
+  const warnings = [];
+  let prevValue = 0, twr = 1, netInvested = 0, accountFees = 0;
+  let ti = 0;
+
+  for (const date of dates) {
+    const px = Object.fromEntries(Object.keys(priceAt).map((c) => [c, priceAt[c](date)]));
+    const rate = Object.fromEntries(Object.keys(fxAt).map((c) => [c, fxAt[c](date)]));
+    const toBase = (ccy) => (ccy === base ? 1 : rate[ccy]);
+
+    let netIn = 0;
+    for (; ti < usable.length && usable[ti].date === date; ti++) {
+      const t = usable[ti];
+      const k = toBase(t.currency);
+      if (k == null) {
+        warnings.push(`${t.date} ${t.type} ${t.code || ""}: no ${t.currency}${base} rate yet, skipped`);
+        continue;
+      }
+      const fee = (t.fee || 0) * k;
+      const p = t.price ?? px[t.code];
+      if (t.type === "fee") {
+        netIn += t.amount * k;
+        if (t.code) {
+          book(t.code).fees += t.amount * k;
+          book(t.code).otherFees += t.amount * k;
+        } else accountFees += t.amount * k;
+        flows.push({ date, amount: -t.amount * k });
+        continue;
+      }
+      if ((t.type === "buy" || t.type === "sell") && !(p > 0)) {
+        warnings.push(`${t.date} ${t.type} ${t.code}: no price on or before this date, skipped`);
+        continue;
+      }
+      const b = book(t.code);
+      if (t.type === "buy") {
+        // amount is the cash paid incl. fee unless qty is given explicitly
+        const qty = t.qty > 0 ? t.qty : (t.amount - (t.fee || 0)) / p;
+        const cash = (t.qty > 0 ? t.qty * p : t.amount - (t.fee || 0)) * k + fee;
+        b.qty += qty;
+        b.cost += cash;
+        b.fees += fee;
+        netIn += cash;
+        flows.push({ date, amount: -cash });
+      } else if (t.type === "sell") {
+        let qty = t.qty > 0 ? t.qty : t.amount / p;
+        if (qty > b.qty + 1e-9) {
+          warnings.push(`${t.date} sell ${t.code}: ${qty} > held ${b.qty}, capped`);
+          qty = b.qty;
+        }
+        const proceeds = qty * p * k - fee;
+        const costOut = b.qty > 0 ? (b.cost * qty) / b.qty : 0;
+        b.realized += proceeds - costOut;
+        b.cost -= costOut;
+        b.qty -= qty;
+        b.fees += fee;
+        netIn -= proceeds;
+        flows.push({ date, amount: proceeds });
+      } else if (t.qty > 0) {
+        // Reinvested dividend: more units, no cash; the reinvested value is income and joins the cost basis.
+        const reinvested = (t.amount ?? t.qty * (px[t.code] || 0)) * k;
+        b.qty += t.qty;
+        b.income += reinvested;
+        b.cost += reinvested;
+      } else {
+        b.income += t.amount * k;
+        netIn -= t.amount * k;
+        flows.push({ date, amount: t.amount * k });
+      }
+    }
+
+    let value = 0;
+    for (const [code, b] of Object.entries(pos)) {
+      const k = toBase(ccyOf[code]);
+      if (b.qty > 0 && px[code] != null && k != null) value += b.qty * px[code] * k;
+    }
+    // Flows land at the close: the day's return is what the book did beyond new money.
+    if (prevValue > 0) twr *= (value - netIn) / prevValue;
+    netInvested += netIn;
+    prevValue = value;
+    curve.push({ date, value, netInvested, twrIndex: twr * 100 });
+  }
+
+  if (!curve.length) return { ok: false, reason: "no price history for any ledger code", missing };
+  const last = curve[curve.length - 1];
+  if (last.value > 0) flows.push({ date: last.date, amount: last.value });
+  const firstInvested = curve.find((p) => p.value > 0);
+  const yrs = firstInvested ? yearsBetween(firstInvested.date, last.date) : 0;
+
+  const positions = Object.entries(pos).map(([code, b]) => {
+    const price = priceAt[code] ? priceAt[code](last.date) : null;
+    const k = ccyOf[code] === base ? 1 : fxAt[ccyOf[code]]?.(last.date) ?? null;
+    const marketValue = b.qty > 0 && price != null && k != null ? b.qty * price * k : 0;
+    const unrealized = b.qty > 0 ? marketValue - b.cost : 0;
+    return {
+      code,
+      type: typeOf[code] || null,
+      currency: ccyOf[code] || null,
+      qty: b.qty,
+      avgCost: b.qty > 0 ? b.cost / b.qty : null,
+      lastPrice: price,
+      marketValue,
+      costBasis: b.cost,
+      realized: b.realized,
+      unrealized,
+      income: b.income,
+      fees: b.fees,
+      totalPnl: b.realized + unrealized + b.income - b.otherFees,
+    };
+  });
+
+  return {
+    ok: true,
+    baseCurrency: base,
+    range: { start, end: last.date },
+    summary: {
+      value: last.value,
+      netInvested: last.netInvested,
+      pnl: last.value - last.netInvested,
+      realized: positions.reduce((s, p) => s + p.realized, 0),
+      unrealized: positions.reduce((s, p) => s + p.unrealized, 0),
+      income: positions.reduce((s, p) => s + p.income, 0),
+      fees: positions.reduce((s, p) => s + p.fees, 0) + accountFees,
+      twr: (twr - 1) * 100,
+      twrAnnualized: yrs > 0.05 ? (Math.pow(twr, 1 / yrs) - 1) * 100 : null,
+      xirr: xirr(flows),
+      maxDrawdown: maxDrawdownPct(curve.map((p) => p.twrIndex)),
+    },
+    positions,
+    curve,
+    missing,
+    warnings,
+  };
+}
+
+app.get("/api/ledger", (req, res) => {
+  const portfolio = normPortfolioId(req.query.portfolio);
+  const transactions = LEDGER.transactions.filter((t) => t.portfolio === portfolio).sort((a, b) => a.date.localeCompare(b.date));
+  res.json({ ok: true, build: BUILD_ID, portfolio, transactions });
+});
+
+app.post("/api/ledger/transactions", (req, res) => {
+  const portfolio = normPortfolioId(req.body?.portfolio);
+  const rows = Array.isArray(req.body?.transactions) ? req.body.transactions : req.body?.type ? [req.body] : [];
+  if (!rows.length) return res.status(400).json({ ok: false, error: "transactions required" });
+
+  // All-or-nothing: one bad row rejects the batch so a partial import never lands.
+  const parsed = rows.map((r) => normalizeTx(r, portfolio));
+  const errors = parsed.map((p, index) => (p.ok ? null : { index, error: p.error })).filter(Boolean);
+  if (errors.length) return res.status(400).json({ ok: false, error: "invalid transactions", errors });
+
+  const added = parsed.map((p) => p.tx);
+  LEDGER.transactions.push(...added);
+  try {
+    saveLedger();
+  } catch (e) {
+    LEDGER.transactions.splice(LEDGER.transactions.length - added.length, added.length);
+    return res.status(500).json({ ok: false, error: `ledger save failed: ${e?.message || e}` });
+  }
+  res.json({ ok: true, build: BUILD_ID, portfolio, added });
+});
+
+app.delete("/api/ledger/transactions/:id", (req, res) => {
+  const i = LEDGER.transactions.findIndex((t) => t.id === req.params.id);
+  if (i < 0) return res.status(404).json({ ok: false, error: "transaction not found" });
+  const [removed] = LEDGER.transactions.splice(i, 1);
+  try {
+    saveLedger();
+  } catch (e) {
+    LEDGER.transactions.splice(i, 0, removed);
+    return res.status(500).json({ ok: false, error: `ledger save failed: ${e?.message || e}` });
+  }
+  res.json({ ok: true, build: BUILD_ID, removed });
+});
+
+app.get("/api/ledger/performance", async (req, res) => {
+  const portfolio = normPortfolioId(req.query.portfolio);
+  const txs = LEDGER.transactions.filter((t) => t.portfolio === portfolio);
+  try {
+    const perf = await ledgerPerformance(txs, { baseCurrency: req.query.baseCurrency, concurrency: req.query.concurrency });
+    if (!perf.ok) return res.json({ ok: false, portfolio, error: perf.reason, ...(perf.missing ? { missing: perf.missing } : {}) });
+    res.json({ build: BUILD_ID, portfolio, ...perf });
+  } catch (e) {
+    console.error("[LEDGER_PERFORMANCE_ERROR]", e?.stack || e);
+    res.status(500).json({ ok: false, portfolio, error: e?.message || String(e) });
+  }
+});
+
+/* =========================
+   Statement import (CSV / XLSX) -> preview -> commit
+   Body: { content (text) | contentBase64 (CSV bytes or .xlsx), platform?, kind?, mapping?, portfolio? }
+   - platform: tiantian | alipay | us_broker | generic (auto-detected from the header row)
+   - kind: transactions | positions (auto: a type/action column means transactions)
+   - mapping: { field: "header text" } overrides for unusual exports
+   Preview is kept for IMPORT_TTL_MS; commit writes transaction rows into the ledger.
+========================= */
+const IMPORT_TTL_MS = 30 * 60 * 1000;
+const IMPORT_MAX_ROWS = 5000;
+
+// importId -> { preview, exp }. Statement rows are personal data: memory only, never in the shared (persisted,
+// evictable) market-data cache.
+const IMPORT_PREVIEWS = new Map();
+function importPreview(id) {
+  const e = IMPORT_PREVIEWS.get(id);
+  if (e && Date.now() > e.exp) IMPORT_PREVIEWS.delete(id);
+  return e && Date.now() <= e.exp ? e.preview : null;
+}
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, e] of IMPORT_PREVIEWS) if (now > e.exp) IMPORT_PREVIEWS.delete(id);
+}, 5 * 60 * 1000).unref();
+
+// Header aliases per normalized field (lower-cased, spaces collapsed); first match wins.
+const IMPORT_COLUMNS = {
+  date: ["交易日期", "确认日期", "交易时间", "成交日期", "申请日期", "日期", "date", "trade date", "transaction date", "run date", "activity date"],
+  type: ["业务类型", "交易类型", "业务名称", "操作", "买卖方向", "action", "transaction type", "activity", "type"],
+  code: ["基金代码", "证券代码", "股票代码", "代码", "symbol", "ticker"],
+  name: ["基金名称", "证券名称", "产品名称", "商品名称", "名称", "description", "security description", "name"],
+  qty: ["确认份额", "成交份额", "持有份额", "成交数量", "持仓数量", "份额", "数量", "quantity", "qty", "shares"],
+  price: ["确认净值", "成交价格", "成交均价", "最新净值", "单位净值", "price", "last price", "price ($)"],
+  amount: ["确认金额", "交易金额", "成交金额", "发生金额", "申请金额", "金额", "amount", "net amount", "amount ($)", "proceeds"],
+  fee: ["手续费", "交易费用", "佣金", "fees", "fee", "commission", "fees & comm"],
+  mv: ["参考市值", "持仓市值", "持有金额", "市值", "market value", "current value", "value"],
+  cost: ["持仓成本", "成本金额", "成本", "cost basis", "total cost", "cost"],
+  currency: ["币种", "货币", "currency"],
+  status: ["交易状态", "确认状态", "状态", "status"],
+};
+
+const IMPORT_PLATFORMS = {
+  tiantian: { instType: "CN_FUND", currency: "CNY" },
+  alipay: { instType: "CN_FUND", currency: "CNY" },
+  us_broker: { instType: "US_STOCK", currency: "USD" },
+  generic: { instType: null, currency: null },
+};
+
+// Statement wording -> ledger type; 红利再投 is a dividend paid in units.
+const IMPORT_TX_TYPES = [
+  [/红利再投|再投资|reinvest/i, "dividend"],
+  [/分红|红利|派息|股息|dividend|\bdiv\b/i, "dividend"],
+  [/赎回|卖出|转换转出|转出|sell|sold|redemption/i, "sell"],
+  [/申购|认购|买入|定投|转换转入|转入|buy|bought|purchase/i, "buy"],
+  [/手续费|管理费|服务费|\bfee\b|service charge/i, "fee"],
+];
+const IMPORT_SKIP_STATUS = /撤单|撤销|失败|已取消|cancel|rejected|failed/i;
+
+function decodeStatementBytes(buf) {
+  const utf8 = buf.toString("utf8").replace(/^﻿/, "");
+  // Chinese platforms still export GBK; undecodable UTF-8 shows up as U+FFFD.
+  if (!utf8.includes("�")) return utf8;
+  try {
+    return new TextDecoder("gb18030").decode(buf);
+  } catch {
+    return utf8;
+  }
+}
+
+function parseCsvText(txt) {
+  const lines = String(txt || "").replace(/^﻿/, "");
+  // Delimiter = the one splitting some early line (title lines have none) into the most cells.
+  const head = lines.split(/\r?\n/).slice(0, 30);
+  const delim = [",", "\t", ";"]
+    .map((d) => [d, Math.max(...head.map((l) => l.split(d).length))])
+    .sort((a, b) => b[1] - a[1])[0][0];
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for (let i = 0; i < lines.length; i++) {
+    const ch = lines[i];
+    if (quoted) {
+      if (ch === '"' && lines[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && !cell) quoted = true;
+    else if (ch === delim) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && lines[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows.map((r) => r.map((c) => c.trim()));
+}
+
+/* ---- Minimal XLSX reader: zip central directory + first worksheet's cells ---- */
+function unzipEntries(buf) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("not a zip file");
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  const files = new Map();
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(p) !== 0x02014b50) throw new Error("bad zip directory");
+    const method = buf.readUInt16LE(p + 10);
+    const size = buf.readUInt32LE(p + 20);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const local = buf.readUInt32LE(p + 42);
+    const name = buf.toString("utf8", p + 46, p + 46 + nameLen);
+    files.set(name, () => {
+      const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+      const raw = buf.subarray(start, start + size);
+      if (method === 0) return raw.toString("utf8");
+      if (method === 8) return zlib.inflateRawSync(raw).toString("utf8");
+      throw new Error(`unsupported zip method ${method}`);
+    });
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return files;
+}
+
+function xmlText(s) {
+  return String(s || "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&amp;/g, "&");
+}
+
+function parseXlsx(buf) {
+  const files = unzipEntries(buf);
+  const read = (name) => (files.has(name) ? files.get(name)() : "");
+
+  // First sheet in workbook order -> its part name through the workbook rels.
+  const rid = read("xl/workbook.xml").match(/<sheet\b[^>]*\br:id="([^"]+)"/)?.[1];
+  const rels = read("xl/_rels/workbook.xml.rels");
+  const target = rid ? rels.match(new RegExp(`<Relationship\\b[^>]*Id="${rid}"[^>]*Target="([^"]+)"`))?.[1] ||
+    rels.match(new RegExp(`<Relationship\\b[^>]*Target="([^"]+)"[^>]*Id="${rid}"`))?.[1] : null;
+  const sheetName = target ? (target.startsWith("/") ? target.slice(1) : `xl/${target}`) : "xl/worksheets/sheet1.xml";
+  const sheet = read(sheetName);
+  if (!sheet) throw new Error("xlsx has no worksheet");
+
+  const shared = Array.from(read("xl/sharedStrings.xml").matchAll(/<si>([\s\S]*?)<\/si>/g)).map((m) =>
+    xmlText(Array.from(m[1].matchAll(/<t[^>]*>([\s\S]*?)<\/t>/g)).map((t) => t[1]).join("")),
+  );
+
+  const colIndex = (ref) => {
+    let n = 0;
+    for (const ch of ref.replace(/\d+$/, "")) n = n * 26 + (ch.charCodeAt(0) - 64);
+    return n - 1;
+  };
+  const rows = [];
+  for (const rm of sheet.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const row = [];
+    for (const cm of rm[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = cm[1];
+      const ref = attrs.match(/\br="([A-Z]+\d+)"/)?.[1];
+      const t = attrs.match(/\bt="([^"]+)"/)?.[1] || "n";
+      const body = cm[2] || "";
+      const v = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+      let val = "";
+      if (t === "s") val = shared[Number(v)] ?? "";
+      else if (t === "inlineStr") val = xmlText(Array.from(body.matchAll(/<t[^>]*>([\s\S]*?)<\/t>/g)).map((x) => x[1]).join(""));
+      else val = v == null ? "" : xmlText(v);
+      row[ref ? colIndex(ref) : row.length] = String(val).trim();
+    }
+    rows.push(Array.from(row, (x) => x ?? ""));
+  }
+  return rows;
+}
+
+function statementRows(body) {
+  if (typeof body?.content === "string" && body.content.trim()) return parseCsvText(body.content);
+  const b64 = String(body?.contentBase64 || "");
+  if (!b64) throw new Error("content or contentBase64 required");
+  const buf = Buffer.from(b64, "base64");
+  // .xlsx is a zip ("PK\x03\x04"); anything else is treated as delimited text.
+  if (buf.length > 4 && buf.readUInt32LE(0) === 0x04034b50) return parseXlsx(buf);
+  return parseCsvText(decodeStatementBytes(buf));
+}
+
+const normHeader = (h) => String(h || "").replace(/\s+/g, " ").trim().toLowerCase();
+
+// Header row = the first of the top 30 rows that matches the most known column names (statements often
+// open with title/account lines).
+function detectColumns(rows, overrides = {}) {
+  let best = { index: -1, hits: 0, map: {} };
+  rows.slice(0, 30).forEach((row, index) => {
+    const headers = row.map(normHeader);
+    const map = {};
+    for (const [field, aliases] of Object.entries(IMPORT_COLUMNS)) {
+      const override = overrides[field] ? normHeader(overrides[field]) : null;
+      const i = override ? headers.indexOf(override) : aliases.map((a) => headers.indexOf(a.toLowerCase())).find((x) => x >= 0);
+      if (i != null && i >= 0 && !Object.values(map).includes(i)) map[field] = i;
+    }
+    const hits = Object.keys(map).length;
+    if (hits > best.hits) best = { index, hits, map };
+  });
+  return best.hits >= 2 ? best : null;
+}
+
+function detectPlatform(headers) {
+  const h = headers.map(normHeader);
+  if (h.includes("交易状态") && (h.includes("交易时间") || h.includes("商品名称"))) return "alipay";
+  if (h.some((x) => /基金|份额|净值/.test(x))) return "tiantian";
+  if (h.some((x) => /^(symbol|action|quantity|run date|trade date)$/.test(x))) return "us_broker";
+  return "generic";
+}
+
+// "1,234.50元" / "$(12.30)" / "-" -> number or null; parentheses mean negative.
+function importNum(x) {
+  const s = String(x ?? "").trim();
+  if (!s || /^[-–—]+$/.test(s)) return null;
+  const neg = /^\(.*\)$/.test(s);
+  const v = numOrNull(s.replace(/[(),$¥￥元份股\s]|USD|CNY|HKD/gi, ""));
+  return v == null ? null : neg ? -v : v;
+}
+
+// 2026-01-05 / 2026/1/5 10:00 / 20260105 / 01/05/2026 (US) / Excel serial -> YYYY-MM-DD or null.
+function importDate(x) {
+  const s = String(x ?? "").trim();
+  let m = s.match(/^(\d{4})[-/.年](\d{1,2})[-/.月](\d{1,2})/);
+  if (m) return `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}`;
+  m = s.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (m) return `${m[3]}-${m[1].padStart(2, "0")}-${m[2].padStart(2, "0")}`;
+  if (/^\d{5}(\.\d+)?$/.test(s)) return new Date(Date.UTC(1899, 11, 30) + Math.floor(Number(s)) * 86400000).toISOString().slice(0, 10);
+  return null;
+}
+
+// Spreadsheet-mangled codes: ="000001", '000001, 1 (lost zeros are restored by resolveInstrument).
+function importCode(x) {
+  return String(x ?? "").replace(/^=?["']?|["']$/g, "").trim();
+}
+
+function importTxType(x) {
+  const s = String(x || "").trim();
+  for (const [re, type] of IMPORT_TX_TYPES) if (re.test(s)) return { type, reinvest: type === "dividend" && /红利再投|再投资|reinvest/i.test(s) };
+  return null;
+}
+
+/**
+ * Raw table -> { ok, platform, kind, header, columns, rows: [{ row, ok, skipped?, errors, warnings, record }] }.
+ * Records are shaped for normalizeTx (transactions) or cleanPositions (positions).
+ */
+function mapStatement(table, { platform, kind, mapping, portfolio } = {}) {
+  const cols = detectColumns(table, mapping && typeof mapping === "object" ? mapping : {});
+  if (!cols) return { ok: false, reason: "no recognizable header row (need at least two known columns)" };
+  const header = table[cols.index];
+  const plat = IMPORT_PLATFORMS[platform] ? platform : detectPlatform(header);
+  const defaults = IMPORT_PLATFORMS[plat];
+  const k = kind === "positions" || kind === "transactions" ? kind : cols.map.type != null ? "transactions" : "positions";
+  const get = (r, f) => (cols.map[f] != null ? r[cols.map[f]] ?? "" : "");
+
+  const body = table.slice(cols.index + 1, cols.index + 1 + IMPORT_MAX_ROWS);
+  const rows = [];
+  body.forEach((r, i) => {
+    const row = cols.index + 2 + i; // 1-based sheet row
+    if (!Object.values(cols.map).some((c) => String(r[c] ?? "").trim())) return; // blank / footer line
+    const errors = [], warnings = [];
+    const name = get(r, "name").trim() || null;
+    const code = importCode(get(r, "code"));
+    const currency = normCurrency(get(r, "currency")) || defaults.currency || undefined;
+
+    if (IMPORT_SKIP_STATUS.test(get(r, "status"))) {
+      rows.push({ row, ok: false, skipped: true, errors: [], warnings: [`status: ${get(r, "status")}`], record: null });
+      return;
+    }
+    if (!code) errors.push(name ? `code missing (name: ${name})` : "code missing");
+
+    if (k === "positions") {
+      const qty = importNum(get(r, "qty"));
+      const mv = importNum(get(r, "mv"));
+      const cost = importNum(get(r, "cost"));
+      const price = importNum(get(r, "price"));
+      const value = mv ?? (qty != null && price != null ? qty * price : null);
+      if (!(value > 0)) errors.push("market value missing (need a value column, or quantity and price)");
+      const inst = code ? resolveInstrument(code, defaults.instType) : null;
+      if (inst && !inst.ok) errors.push(inst.reason);
+      rows.push({
+        row,
+        ok: !errors.length,
+        errors,
+        warnings,
+        record: { code: inst?.ok ? inst.code : code, type: inst?.type || defaults.instType, name, qty, mv: value, cost, currency },
+      });
+      return;
+    }
+
+    const tt = importTxType(get(r, "type"));
+    const dateRaw = get(r, "date");
+    const date = importDate(dateRaw);
+    if (!tt) errors.push(`unrecognized type: ${get(r, "type") || "(empty)"}`);
+    if (!date) errors.push(`unrecognized date: ${dateRaw || "(empty)"}`);
+    // Broker CSVs sign cash (buys negative); the ledger wants magnitudes.
+    const abs = (v) => (v == null ? null : Math.abs(v));
+    const qty = abs(importNum(get(r, "qty")));
+    const record = {
+      date,
+      type: tt?.type,
+      code: code || null,
+      instType: defaults.instType || undefined,
+      // 红利再投 rows carry the reinvested value in the amount column; no cash changed hands.
+      qty: tt?.type === "dividend" && !tt.reinvest ? null : qty,
+      price: abs(importNum(get(r, "price"))),
+      amount: tt?.reinvest ? null : abs(importNum(get(r, "amount"))),
+      fee: abs(importNum(get(r, "fee"))),
+      currency,
+      note: [plat, name].filter(Boolean).join(" "),
+    };
+    if (tt?.type === "fee" && !code) delete record.code;
+    if (!errors.length) {
+      const v = normalizeTx(record, normPortfolioId(portfolio));
+      if (!v.ok) errors.push(v.error);
+    }
+    rows.push({ row, ok: !errors.length, errors, warnings, record: { ...record, name } });
+  });
+
+  return { ok: true, platform: plat, kind: k, header, columns: Object.fromEntries(Object.entries(cols.map).map(([f, i]) => [f, header[i]])), rows };
+}
+
+// Fill / check names with the same lookup as /api/meta/resolve (one call per distinct code).
+async function resolveImportNames(rows, { concurrency } = {}) {
+  const pending = rows.filter((r) => r.ok && r.record?.code);
+  const keys = Array.from(new Set(pending.map((r) => `${r.record.code}|${r.record.instType || r.record.type || ""}`)));
+  const metas = await runBatch(keys, async (key) => {
+    const [code, type] = key.split("|");
+    return { key, meta: await resolveMeta(code, type || undefined) };
+  }, { concurrency, onError: (key, err, reason) => ({ key, meta: { ok: false, error: reason } }) });
+  const byKey = new Map(metas.map((m) => [m.key, m.meta]));
+
+  for (const r of pending) {
+    const meta = byKey.get(`${r.record.code}|${r.record.instType || r.record.type || ""}`);
+    if (!meta?.ok) {
+      r.warnings.push(`name lookup failed: ${meta?.error || "unknown"}`);
+      continue;
+    }
+    r.record.code = meta.code;
+    if (!r.record.name) r.record.name = meta.name || null;
+    else if (meta.name && !meta.name.includes(r.record.name) && !r.record.name.includes(meta.name)) {
+      r.warnings.push(`name differs from ${meta.code}: ${meta.name}`);
+    }
+  }
+}
+
+app.post("/api/import/preview", async (req, res) => {
+  let table;
+  try {
+    table = statementRows(req.body);
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: `cannot read statement: ${e?.message || e}` });
+  }
+  const portfolio = normPortfolioId(req.body?.portfolio);
+  const mapped = mapStatement(table, { platform: req.body?.platform, kind: req.body?.kind, mapping: req.body?.mapping, portfolio });
+  if (!mapped.ok) return res.status(400).json({ ok: false, error: mapped.reason });
+  if (req.body?.resolveNames !== false) await resolveImportNames(mapped.rows, { concurrency: req.body?.concurrency });
+
+  const summary = {
+    total: mapped.rows.length,
+    valid: mapped.rows.filter((r) => r.ok).length,
+    invalid: mapped.rows.filter((r) => !r.ok && !r.skipped).length,
+    skipped: mapped.rows.filter((r) => r.skipped).length,
+  };
+  const importId = crypto.randomUUID();
+  IMPORT_PREVIEWS.set(importId, { preview: { ...mapped, portfolio, summary }, exp: Date.now() + IMPORT_TTL_MS });
+  res.json({ ok: true, build: BUILD_ID, importId, expiresInSec: IMPORT_TTL_MS / 1000, portfolio, ...mapped, summary });
+});
+
+// Commit a preview: transactions go into the ledger; positions are handed back normalized (the app owns them).
+app.post("/api/import/commit", (req, res) => {
+  const importId = String(req.body?.importId || "");
+  const preview = importPreview(importId);
+  if (!preview) return res.status(404).json({ ok: false, error: "import not found or expired; preview again" });
+  const invalid = preview.rows.filter((r) => !r.ok && !r.skipped);
+  if (invalid.length && !req.body?.skipInvalid) {
+    return res.status(400).json({ ok: false, error: "preview has invalid rows (pass skipInvalid:true to import the rest)", errors: invalid.map((r) => ({ row: r.row, errors: r.errors })) });
+  }
+  const valid = preview.rows.filter((r) => r.ok);
+
+  if (preview.kind === "positions") {
+    IMPORT_PREVIEWS.delete(importId);
+    return res.json({ ok: true, build: BUILD_ID, kind: "positions", positions: valid.map((r) => r.record) });
+  }
+
+  const portfolio = normPortfolioId(req.body?.portfolio ?? preview.portfolio);
+  const added = [];
+  for (const r of valid) {
+    const v = normalizeTx(r.record, portfolio);
+    if (v.ok) added.push(v.tx);
+  }
+  LEDGER.transactions.push(...added);
+  try {
+    saveLedger();
+  } catch (e) {
+    LEDGER.transactions.splice(LEDGER.transactions.length - added.length, added.length);
+    return res.status(500).json({ ok: false, error: `ledger save failed: ${e?.message || e}` });
+  }
+  IMPORT_PREVIEWS.delete(importId);
+  res.json({ ok: true, build: BUILD_ID, kind: "transactions", portfolio, added: added.length, skipped: preview.rows.length - added.length });
+});
+
+/* =========================
+   News RSS (CN + US) with fallback
+========================= */
+const RSS_PRESETS = {
+  us: [
+    // English (US) - market/macro, generally accessible
+    "https://news.google.com/rss/headlines/section/topic/BUSINESS?hl=en-US&gl=US&ceid=US:en",
+    "https://www.investing.com/rss/news_25.rss",
+    "https://www.investing.com/rss/news_301.rss",
+    "https://www.fxstreet.com/rss/news",
+    "https://www.nasdaq.com/feed/rssoutbound?category=Markets",
+  ],
+  // CN preset: Sina Finance RSS endpoints (stable public RSS)
+  // Sources: rss.sina.com.cn provides finance RSS feeds.
+  cn: [
+    // Chinese (CN) - high update frequency
+    "https://news.google.com/rss/headlines/section/topic/BUSINESS?hl=zh-CN&gl=CN&ceid=CN:zh-Hans",
+    "https://rss.sina.com.cn/roll/finance/hot_roll.xml",
+    "http://rss.sina.com.cn/finance/stock.xml",
+    "http://rss.sina.com.cn/finance/fund.xml",
+    "http://rss.sina.com.cn/finance/industry.xml",
+    "http://www.xinhuanet.com/finance/news_finance.xml",
+  ],
+      mixed: [
+    // English (4) - more China-friendly (often accessible) market/macro feeds
+    "https://news.google.com/rss/headlines/section/topic/BUSINESS?hl=en-US&gl=US&ceid=US:en",
+    "https://www.investing.com/rss/news_25.rss",
+    "https://www.fxstreet.com/rss/news",
+    "https://www.nasdaq.com/feed/rssoutbound?category=Markets",
+    // Chinese (4) - domestic policy & market coverage
+    "https://news.google.com/rss/headlines/section/topic/BUSINESS?hl=zh-CN&gl=CN&ceid=CN:zh-Hans",
+    "https://rss.sina.com.cn/roll/finance/hot_roll.xml",
+    "http://rss.sina.com.cn/finance/stock.xml",
+    "http://www.xinhuanet.com/finance/news_finance.xml",
+  ],
+};
+
+function normalizeText(s) {
+  return String(s || "")
+    .replace(/<!\[CDATA\[/g, "")
+    .replace(/\]\]>/g, "")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+function splitKeywords(s) {
+  return String(s || "")
+    .split(/[,，\n]+/)
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+function includesAny(text, kws) {
+  if (!kws.length) return false;
+  const t = text.toLowerCase();
+  return kws.some((k) => t.includes(k));
+}
+
+// --- News date helpers (prevent very old RSS items from polluting results) ---
+function parseDateMs(s) {
+  const raw = String(s || "").trim();
+  if (!raw) return null;
+  const d = new Date(raw);
+  if (!isNaN(d.getTime())) return d.getTime();
+  return null;
+}
+
+function extractYear(s) {
+  const m = String(s || "").match(/(19|20)\d{2}/);
+  if (!m) return null;
+  const y = Number(m[0]);
+  return Number.isFinite(y) ? y : null;
+}
+
+function toIsoDate(ts) {
+  try {
+    return new Date(ts).toISOString().slice(0, 10);
+  } catch {
+    return "";
+  }
+}
+
+function parseRssOrAtom(xml) {
+  const out = [];
+
+  const itemBlocks = xml.match(/<item[\s\S]*?<\/item>/gi) || [];
+  for (const block of itemBlocks) {
+    const title = (block.match(/<title>([\s\S]*?)<\/title>/i)?.[1] || "").trim();
+    const link = (block.match(/<link>([\s\S]*?)<\/link>/i)?.[1] || "").trim();
+    const pubDate = (block.match(/<pubDate>([\s\S]*?)<\/pubDate>/i)?.[1] || "").trim();
+    const desc = (block.match(/<(description|content:encoded)>([\s\S]*?)<\/(description|content:encoded)>/i)?.[2] || "").trim();
+    if (!title && !link) continue;
+    out.push({ title: normalizeText(title), link: normalizeText(link), pubDate: normalizeText(pubDate), summary: normalizeText(desc) });
+  }
+
+  const entryBlocks = xml.match(/<entry[\s\S]*?<\/entry>/gi) || [];
+  for (const block of entryBlocks) {
+    const title = (block.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || "").trim();
+    const link = (block.match(/<link[^>]*href=["']([^"']+)["'][^>]*\/?>/i)?.[1] || "").trim();
+    const pubDate = (block.match(/<(updated|published)>([\s\S]*?)<\/(updated|published)>/i)?.[2] || "").trim();
+    const desc = (block.match(/<(summary|content)[^>]*>([\s\S]*?)<\/(summary|content)>/i)?.[2] || "").trim();
+    if (!title && !link) continue;
+    out.push({ title: normalizeText(title), link: normalizeText(link), pubDate: normalizeText(pubDate), summary: normalizeText(desc) });
+  }
+
+  return out;
+}
+
+function guessSentiment(title, summary) {
+  const t = (title + " " + summary).toLowerCase();
+  const good = ["beats", "surge", "rally", "record", "rate cut", "stimulus", "approval", "upgrade", "strong", "cooling inflation", "上涨", "利好", "降息", "降准", "回暖"];
+  const bad  = ["miss", "plunge", "sell-off", "downgrade", "lawsuit", "crackdown", "ban", "default", "recession", "war", "inflation heats", "下跌", "利空", "收紧", "爆雷", "停摆"];
+  if (good.some((w) => t.includes(w))) return "利好";
+  if (bad.some((w) => t.includes(w))) return "利空";
+  return "中性";
+}
+
+// Keyword-filtered recent items from the preset (or custom) feeds -> { matched, fallback, items }.
+async function searchNews(body = {}) {
+  const feedDebug = [];
+  const kwZh = String(body?.kwZh || "");
+  const kwEn = String(body?.kwEn || "");
+  const preset = String(body?.preset || "mixed");
+  const limit = Math.max(5, Math.min(50, Number(body?.limit || 18)));
+  // Only keep recent items (default: last 7 days)
+  const days = Math.max(1, Math.min(30, Number(body?.days || 7)));
+  const customRss = Array.isArray(body?.customRss) ? body.customRss : [];
+
+  const kws = splitKeywords(kwZh).concat(splitKeywords(kwEn)).map((x) => x.toLowerCase());
+  const rssList =
+    preset === "custom" ? customRss :
+    RSS_PRESETS[preset] ? RSS_PRESETS[preset] :
+    RSS_PRESETS.mixed;
+
+  const feeds = rssList.filter(Boolean).slice(0, 20);
+
+  const seen = new Set();
+  const matched = [];
+  const all = [];
+
+  const cutoffMs = Date.now() - days * 24 * 60 * 60 * 1000;
+  const curYear = new Date().getFullYear();
+
+  for (const url of feeds) {
+    const t0 = Date.now();
+    let dbg = { url, ok:false, status:null, items_in:0, items_kept:0, err:null, ms:0 };
+    try {
+      const r = await fetchWithTimeout(url, { timeoutMs: 20000 });
+      if (!r.ok) continue;
+      const xml = await r.text();
+      const parsed = parseRssOrAtom(xml);
+
+      for (const it of parsed) {
+        // Filter out very old items (RSS sources sometimes include stale entries)
+        const ts = parseDateMs(it.pubDate);
+        if (ts && ts < cutoffMs) continue;
+        if (!ts) {
+          // Heuristic: if we can see an explicit year in link/title/pubDate and it's not this year, drop it.
+          const y = extractYear(it.pubDate) || extractYear(it.link) || extractYear(it.title);
+          if (y && y < curYear) continue;
+        }
+
+        const key = (it.link || it.title || "").slice(0, 240);
+        if (!key || seen.has(key)) continue;
+        seen.add(key);
+
+        const item = {
+          title: it.title,
+          link: it.link,
+          pubDate: ts ? toIsoDate(ts) : it.pubDate,
+          ts: ts || null,
+          source: url.replace(/^https?:\/\//, "").split("/")[0],
+          summary: it.summary,
+          sentiment: guessSentiment(it.title, it.summary),
+          topics: [],
+          market: preset === "us" ? "US" : preset === "cn" ? "CN" : "MIX",
+        };
+        all.push(item);
+
+        const hay = `${it.title} ${it.summary}`;
+        if (!kws.length || includesAny(hay, kws)) {
+          matched.push(item);
+        }
+
+        if (matched.length >= limit && all.length >= limit * 3) break;
+      }
+      if (matched.length >= limit && all.length >= limit * 3) break;
+    } catch {
+      // ignore feed errors
+    }
+  }
+
+  // Sort by time desc (null at the end)
+  const sortByTs = (a, b) => (b.ts || 0) - (a.ts || 0);
+  matched.sort(sortByTs);
+  all.sort(sortByTs);
+
+  // Fallback: if matched is 0, return top headlines (avoid empty list)
+  if (kws.length && matched.length === 0) {
+    return { matched: 0, fallback: true, items: all.slice(0, limit) };
+  }
+
+  return { matched: matched.length, fallback: false, items: matched.slice(0, limit) };
+}
+
+app.post("/api/news/rss", async (req, res) => {
+  res.json({ ok: true, build: BUILD_ID, ...(await searchNews(req.body)) });
+});
+
+/* =========================
+   AI chat proxy
+========================= */
+const SYSTEM_PROMPT = `
+你是严谨的投研助理（非理财顾问）。必须遵守：
+1) 不编造：没有数据就明确说不知道/需要补充。
+2) 不做保证收益/确定性断言；禁止“必涨/稳赚/保证”等。
+3) 必须引用输入数据：引用时说明来自哪个模块（持仓/风控/技术/板块/新闻），不要凭空添加来源。
+4) 输出结构清晰：先结论（短），再依据，再风险与不确定性，再可执行建议（以条件表达）。
+5) 对于技术指标/RSI等标签，要用小白能懂的语言解释，不要只报术语。
+`.trim();
+
+// Default host when baseUrl is left empty for a wire that is not OpenAI's.
+const AI_WIRE_BASE_URLS = {
+  gemini: "https://generativelanguage.googleapis.com",
+  ollama: "http://localhost:11434",
+};
+
+function normalizeBaseUrl(baseUrl, wire) {
+  let u = String(baseUrl || "").trim();
+  if (!u) return AI_WIRE_BASE_URLS[wire] || "https://api.openai.com";
+  u = u.replace(/\/+$/, "");
+  // Users sometimes paste a full endpoint; normalize back to the host/base.
+  u = u.replace(/\/(v1beta|v1)\/models\/[^/]+:(stream)?generateContent.*$/i, "");
+  u = u.replace(/\/(v1\/chat\/completions|chat\/completions|v1\/messages|messages|api\/chat)$/i, "");
+  return u;
+}
+
+// -------- Upstream response decoding (fix gzip/binary junk) --------
+function isGzipBuffer(buf) {
+  return buf && buf.length >= 2 && buf[0] === 0x1f && buf[1] === 0x8b;
+}
+function isDeflateBuffer(buf) {
+  // Common zlib header bytes for deflate streams (not exhaustive)
+  return buf && buf.length >= 2 && buf[0] === 0x78 && (buf[1] === 0x01 || buf[1] === 0x5e || buf[1] === 0x9c || buf[1] === 0xda);
+}
+async function responseToText(r) {
+  // Always read as bytes first, then attempt to decode (handles missing/incorrect Content-Encoding headers)
+  const ab = await r.arrayBuffer();
+  const buf = Buffer.from(ab);
+  try {
+    if (isGzipBuffer(buf)) return zlib.gunzipSync(buf).toString("utf8");
+    if (isDeflateBuffer(buf)) return zlib.inflateSync(buf).toString("utf8");
+  } catch {}
+  return buf.toString("utf8");
+}
+
+function wrapAsOpenAI(content) {
+  return {
+    choices: [{ message: { role: "assistant", content: String(content || "") } }],
+  };
+}
+
+// stream: true asks for SSE and leaves a successful body unread (text = null) for relayUpstreamStream().
+// tools / toolChoice are passed through in OpenAI function-calling format (agent mode).
+async function callOpenAICompatChat({ baseUrl, apiKey, model, messages, temperature = AI_DEFAULT_TEMPERATURE, maxTokens, stream = false, signal, tools, toolChoice }) {
+  const endpoint = baseUrl.endsWith("/v1") ? `${baseUrl}/chat/completions` : `${baseUrl}/v1/chat/completions`;
+  const r = await fetchWithTimeout(endpoint, {
+    timeoutMs: 120000,
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      // Ask upstream not to compress; still decode defensively in responseToText()
+      "Accept-Encoding": "identity",
+      "Authorization": `Bearer ${apiKey}`,
+    },
+    body: JSON.stringify({
+      model,
+      messages,
+      temperature,
+      ...(maxTokens ? { max_tokens: maxTokens } : {}),
+      ...(stream ? { stream: true } : {}),
+      ...(tools?.length ? { tools, tool_choice: toolChoice || "auto" } : {}),
+    }),
+    signal,
+  });
+  if (stream && r.ok) return { endpoint, r, text: null };
+  const text = await responseToText(r);
+  return { endpoint, r, text };
+}
+
+function toAnthropicMessages(openaiMessages) {
+  // Convert OpenAI-style messages -> Anthropic Messages blocks
+  // Anthropic doesn't accept role=system inside messages (use top-level "system" instead).
+  return (openaiMessages || [])
+    .filter(m => m && m.role && m.role !== "system")
+    .map(m => ({
+      role: m.role === "assistant" ? "assistant" : "user",
+      content: [{ type: "text", text: String(m.content ?? "") }],
+    }));
+}
+
+// `messages` (already in Anthropic shape, e.g. with tool_use/tool_result blocks) takes precedence over openaiMessages.
+async function callAnthropicMessages({ baseUrl, apiKey, model, system, openaiMessages, messages, temperature, maxTokens, stream = false, signal, tools, toolChoice }) {
+  const endpoint = baseUrl.endsWith("/v1") ? `${baseUrl}/messages` : `${baseUrl}/v1/messages`;
+
+  const payload = {
+    model,
+    max_tokens: maxTokens || 2048,
+    ...(temperature != null ? { temperature } : {}),
+    system: String(system || ""),
+    messages: messages || toAnthropicMessages(openaiMessages),
+    ...(stream ? { stream: true } : {}),
+    ...(tools?.length ? { tools, tool_choice: toolChoice || { type: "auto" } } : {}),
+  };
+
+  const r = await fetchWithTimeout(endpoint, {
+    timeoutMs: 120000,
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Accept-Encoding": "identity",
+      "x-api-key": apiKey,
+      "anthropic-version": "2023-06-01",
+    },
+    body: JSON.stringify(payload),
+    signal,
+  });
+
+  if (stream && r.ok) return { endpoint, r, text: null };
+  const text = await responseToText(r);
+  return { endpoint, r, text };
+}
+
+function toGeminiContents(openaiMessages) {
+  // Gemini calls the assistant role "model"; the system prompt goes to systemInstruction.
+  return (openaiMessages || [])
+    .filter(m => m && m.role && m.role !== "system")
+    .map(m => ({
+      role: m.role === "assistant" ? "model" : "user",
+      parts: [{ text: String(m.content ?? "") }],
+    }));
+}
+
+// Google Gemini generateContent (streamGenerateContent?alt=sse when streaming). baseUrl may end in /v1 or /v1beta.
+// `contents` (already in Gemini shape, e.g. with functionCall/functionResponse parts) takes precedence over openaiMessages.
+// tools are functionDeclarations; toolChoice is the functionCallingConfig mode (AUTO / NONE).
+async function callGeminiGenerate({ baseUrl, apiKey, model, system, openaiMessages, contents, temperature = AI_DEFAULT_TEMPERATURE, maxTokens, stream = false, signal, tools, toolChoice }) {
+  const root = /\/v1(beta)?$/i.test(baseUrl) ? baseUrl : `${baseUrl}/v1beta`;
+  const name = encodeURIComponent(String(model).replace(/^models\//, ""));
+  const endpoint = `${root}/models/${name}:${stream ? "streamGenerateContent?alt=sse" : "generateContent"}`;
+
+  const generationConfig = {
+    ...(temperature != null ? { temperature } : {}),
+    ...(maxTokens ? { maxOutputTokens: maxTokens } : {}),
+  };
+  const payload = {
+    ...(system ? { systemInstruction: { parts: [{ text: String(system) }] } } : {}),
+    contents: contents || toGeminiContents(openaiMessages),
+    ...(Object.keys(generationConfig).length ? { generationConfig } : {}),
+    ...(tools?.length ? { tools: [{ functionDeclarations: tools }], toolConfig: { functionCallingConfig: { mode: toolChoice || "AUTO" } } } : {}),
+  };
+
+  const r = await fetchWithTimeout(endpoint, {
+    timeoutMs: 120000,
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Accept-Encoding": "identity",
+      "x-goog-api-key": apiKey,
+    },
+    body: JSON.stringify(payload),
+    signal,
+  });
+
+  if (stream && r.ok) return { endpoint, r, text: null };
+  const text = await responseToText(r);
+  return { endpoint, r, text };
+}
+
+// Ollama native /api/chat (not its /v1 OpenAI shim). Streams NDJSON; the key is optional (sent only for auth proxies).
+// Ollama has no tool_choice: callers leave tools out to force a plain answer.
+async function callOllamaChat({ baseUrl, apiKey, model, messages, temperature = AI_DEFAULT_TEMPERATURE, maxTokens, stream = false, signal, tools }) {
+  const endpoint = `${baseUrl.replace(/\/v1$/i, "")}/api/chat`;
+  const r = await fetchWithTimeout(endpoint, {
+    timeoutMs: 120000,
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Accept-Encoding": "identity",
+      ...(apiKey ? { "Authorization": `Bearer ${apiKey}` } : {}),
+    },
+    body: JSON.stringify({
+      model,
+      messages,
+      stream: !!stream, // Ollama streams unless told otherwise
+      options: { ...(temperature != null ? { temperature } : {}), ...(maxTokens ? { num_predict: maxTokens } : {}) },
+      ...(tools?.length ? { tools } : {}),
+    }),
+    signal,
+  });
+  if (stream && r.ok) return { endpoint, r, text: null };
+  const text = await responseToText(r);
+  return { endpoint, r, text };
+}
+
+const ollamaUsage = (j) => (j?.eval_count != null || j?.prompt_eval_count != null
+  ? { prompt_eval_count: j.prompt_eval_count ?? null, eval_count: j.eval_count ?? null }
+  : null);
+
+// Buffered upstream JSON -> assistant text for the given wire (null when there is none / the shape is unknown).
+function replyContent(provider, j) {
+  if (provider === "anthropic") {
+    return (j?.content || []).filter(b => b?.type === "text").map(b => b?.text || "").join("\n").trim() || null;
+  }
+  if (provider === "gemini") {
+    const parts = j?.candidates?.[0]?.content?.parts || [];
+    return parts.filter(p => typeof p?.text === "string" && !p.thought).map(p => p.text).join("").trim() || null;
+  }
+  if (provider === "ollama") return j?.message?.content ?? null;
+  return j?.choices?.[0]?.message?.content ?? null;
+}
+
+function looksLikeWrongEndpoint(status, bodyText) {
+  const t = String(bodyText || "").slice(0, 2000);
+  if ([404, 405, 415].includes(status)) return true;
+  if (status === 401) return true; // often header mismatch (Authorization vs x-api-key)
+  if (status === 400 || status === 422) {
+    return /chat\/completions|unknown (endpoint|route)|not found|no route|invalid (url|path)|unrecognized request/i.test(t);
+  }
+  return false;
+}
+
+// "auto" only ever guesses between openai and anthropic; gemini / ollama must be selected explicitly.
+const AI_WIRES = ["auto", "openai", "anthropic", "gemini", "ollama"];
+const AI_DEFAULT_TEMPERATURE = 0.4;
+
+/**
+ * Pick the upstream wire format. Any wire but "auto" pins it; "auto" tries OpenAI-compatible first and falls
+ * back to Anthropic Messages when the failure looks like a wrong endpoint (then keeps the original failure).
+ * calls = { openai, anthropic, gemini, ollama }: thunks returning { endpoint, r, text }.
+ * -> { provider, up } with up from the call that counts.
+ */
+async function callByWire(wire, calls, tag = "AI_CHAT") {
+  const logFailure = (provider, up) =>
+    console.error(`[${tag}_UPSTREAM_${provider.toUpperCase()}] endpoint=${up.endpoint} status=${up.r.status} body=${up.text.slice(0, 800)}`);
+
+  if (wire !== "auto" && wire !== "openai" && AI_WIRES.includes(wire)) {
+    const up = await calls[wire]();
+    if (!up.r.ok) logFailure(wire, up);
+    return { provider: wire, up };
+  }
+  const oa = await calls.openai();
+  if (oa.r.ok) return { provider: "openai", up: oa };
+  logFailure("openai", oa);
+  if (wire === "openai" || !looksLikeWrongEndpoint(oa.r.status, oa.text)) return { provider: "openai", up: oa };
+
+  const an = await calls.anthropic();
+  if (an.r.ok) return { provider: "anthropic", up: an };
+  logFailure("anthropic", an);
+  return { provider: "openai", up: oa }; // keep original failure for transparency
+}
+
+// Plain chat on every wire: OpenAI-style messages in, each adapter converts what it needs.
+function chatCalls(llm, openaiMessages, extra = {}) {
+  return {
+    openai: () => callOpenAICompatChat({ ...llm, messages: openaiMessages, ...extra }),
+    anthropic: () => callAnthropicMessages({ ...llm, system: systemOf(openaiMessages), openaiMessages, ...extra }),
+    gemini: () => callGeminiGenerate({ ...llm, system: systemOf(openaiMessages), openaiMessages, ...extra }),
+    ollama: () => callOllamaChat({ ...llm, messages: openaiMessages, ...extra }),
+  };
+}
+
+/* ---- Streaming (opt-in: body.stream = true) ----
+   Every upstream dialect (OpenAI / Anthropic / Gemini SSE, Ollama NDJSON) is relayed as one event shape
+   (SSE `event:` name = data.type):
+     start { provider, model } · delta { text } · done { provider, finishReason, usage } · error { status, error }
+   `: ping` comments keep proxies from closing a quiet connection; the client going away aborts upstream.
+*/
+const AI_STREAM_IDLE_MS = Number(process.env.AI_STREAM_IDLE_MS || 60000);
+const AI_STREAM_PING_MS = 15000;
+
+// Upstream body -> text frames split on `sep`; an idle upstream rejects with an AbortError.
+async function* readFrames(body, sep, idleMs = AI_STREAM_IDLE_MS) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+  try {
+    while (true) {
+      let t;
+      const idle = new Promise((_, rej) => {
+        t = setTimeout(() => rej(Object.assign(new Error("upstream stream idle"), { name: "AbortError" })), idleMs);
+      });
+      const { done, value } = await Promise.race([reader.read(), idle]).finally(() => clearTimeout(t));
+      buf += done ? decoder.decode() : decoder.decode(value, { stream: true });
+      const parts = buf.split(sep);
+      buf = done ? "" : parts.pop();
+      yield* parts;
+      if (done) return;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+// Upstream SSE body -> { event, data } objects (data left as the raw string).
+async function* readSSE(body, idleMs) {
+  for await (const part of readFrames(body, /\r?\n\r?\n/, idleMs)) {
+    let event = "message";
+    const data = [];
+    for (const line of part.split(/\r?\n/)) {
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      else if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""));
+    }
+    if (data.length) yield { event, data: data.join("\n") };
+  }
+}
+
+// NDJSON body (Ollama) -> the same { event, data } shape, one object per line.
+async function* readNDJSON(body, idleMs) {
+  for await (const line of readFrames(body, /\r?\n/, idleMs)) {
+    if (line.trim()) yield { event: "message", data: line };
+  }
+}
+
+// One upstream SSE event -> normalized events. Returns [] for keep-alives and bookkeeping events.
+function normalizeStreamEvent(provider, ev, state) {
+  if (ev.data === "[DONE]") return [];
+  let j;
+  try {
+    j = JSON.parse(ev.data);
+  } catch {
+    return [];
+  }
+  if (provider === "anthropic") {
+    const type = j?.type || ev.event;
+    if (type === "content_block_delta" && j.delta?.type === "text_delta") return [{ type: "delta", text: j.delta.text || "" }];
+    if (type === "message_start") state.usage = { ...state.usage, ...(j.message?.usage || {}) };
+    if (type === "message_delta") {
+      state.finishReason = j.delta?.stop_reason || state.finishReason;
+      state.usage = { ...state.usage, ...(j.usage || {}) };
+    }
+    if (type === "error") return [{ type: "error", status: 502, error: j.error?.message || "upstream stream error" }];
+    return [];
+  }
+  if (provider === "gemini") {
+    if (j?.error) return [{ type: "error", status: 502, error: j.error?.message || "upstream stream error" }];
+    const cand = j?.candidates?.[0];
+    if (cand?.finishReason) state.finishReason = cand.finishReason;
+    if (j?.usageMetadata) state.usage = j.usageMetadata;
+    const text = (cand?.content?.parts || []).filter((p) => typeof p?.text === "string" && !p.thought).map((p) => p.text).join("");
+    return text ? [{ type: "delta", text }] : [];
+  }
+  if (provider === "ollama") {
+    if (j?.error) return [{ type: "error", status: 502, error: String(j.error?.message || j.error) }];
+    if (j?.done) {
+      state.finishReason = j.done_reason || "stop";
+      state.usage = ollamaUsage(j);
+    }
+    const text = j?.message?.content;
+    return text ? [{ type: "delta", text }] : [];
+  }
+  if (j?.error) return [{ type: "error", status: 502, error: j.error?.message || String(j.error) }];
+  const choice = j?.choices?.[0];
+  if (choice?.finish_reason) state.finishReason = choice.finish_reason;
+  if (j?.usage) state.usage = j.usage;
+  const text = choice?.delta?.content;
+  return text ? [{ type: "delta", text }] : [];
+}
+
+// Relay a successful upstream response; a single JSON body (a proxy that ignored stream:true) becomes one delta.
+async function relayUpstreamStream(provider, r, send) {
+  const state = { finishReason: null, usage: null };
+  const ct = r.headers.get("content-type") || "";
+  const frames = /text\/event-stream/i.test(ct) ? readSSE(r.body) : provider === "ollama" && /ndjson/i.test(ct) ? readNDJSON(r.body) : null;
+  if (!frames) {
+    const text = await responseToText(r);
+    let content = text;
+    try {
+      const j = JSON.parse(text);
+      content = replyContent(provider, j) ?? text;
+      state.finishReason = j?.stop_reason || j?.choices?.[0]?.finish_reason || j?.candidates?.[0]?.finishReason || j?.done_reason || null;
+      state.usage = j?.usage || j?.usageMetadata || ollamaUsage(j);
+    } catch {}
+    send({ type: "delta", text: String(content || "") });
+    return state;
+  }
+  for await (const ev of frames) {
+    for (const out of normalizeStreamEvent(provider, ev, state)) {
+      if (out.type === "error") {
+        state.error = out;
+        return state;
+      }
+      send(out);
+    }
+  }
+  return state;
+}
+
+// onDone(content, ok) runs once the relay ends and may return extra fields for the `done` event (sessions).
+async function streamChat(req, res, { openaiMessages, startExtra = {}, onDone, ...llm }) {
+  const { model, wire } = llm;
+  const ctrl = new AbortController();
+  res.on("close", () => ctrl.abort());
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  let content = "";
+  let finished = false;
+  const send = (ev) => {
+    if (ev.type === "delta") content += ev.text;
+    if (!res.writableEnded) res.write(`event: ${ev.type}\ndata: ${JSON.stringify(ev)}\n\n`);
+  };
+  const ping = setInterval(() => !res.writableEnded && res.write(": ping\n\n"), AI_STREAM_PING_MS);
+
+  try {
+    // Same wire selection as the buffered route.
+    const { provider, up } = await callByWire(wire, chatCalls(llm, openaiMessages, { stream: true, signal: ctrl.signal }));
+    if (!up.r.ok) {
+      send({ type: "error", status: up.r.status, error: up.text.slice(0, 2000) });
+      return;
+    }
+
+    send({ type: "start", provider, model, ...startExtra });
+    const st = await relayUpstreamStream(provider, up.r, send);
+    if (st.error) send(st.error);
+    else {
+      finished = true;
+      send({ type: "done", provider, finishReason: st.finishReason, usage: st.usage, ...(onDone?.(content, true) || {}) });
+    }
+  } catch (e) {
+    if (ctrl.signal.aborted && res.destroyed) return; // client went away
+    const msg = e?.message || String(e);
+    console.error("[AI_CHAT_STREAM_ERROR]", e?.stack || e);
+    if (e?.name === "AbortError" || /aborted|idle/i.test(msg)) {
+      send({ type: "error", status: 504, error: "Upstream timeout/aborted", hint: "Try increasing timeout or use a faster/cheaper model" });
+    } else {
+      send({ type: "error", status: 500, error: msg });
+    }
+  } finally {
+    if (!finished) onDone?.(content, false);
+    clearInterval(ping);
+    res.end();
+  }
+}
+
+// Request body -> OpenAI-style messages (system prompt + one user turn carrying the data snapshot).
+// Agent mode only sends holdings (and risk if given): the model fetches the rest through tools.
+function buildChatMessages(body, { agent = false } = {}) {
+  const outLang = String(body?.outLang || "zh");
+  const analysisPrompt = String(body?.analysisPrompt || "");
+  const taskPrompt = String(body?.taskPrompt || "");
+  const data = body?.data || {};
+
+  const langHint = langHintOf(outLang);
+
+  const userPayload = agent
+    ? { lang: outLang, holdings: data.holdings || [], risk: data.risk || null }
+    : {
+        lang: outLang,
+        holdings: data.holdings || [],
+        risk: data.risk || null,
+        tech: data.tech || null,
+        sectors: data.sectors || null,
+        news: data.news || [],
+      };
+
+  return [
+    { role: "system", content: agent ? `${SYSTEM_PROMPT}\n${AGENT_PROMPT}` : SYSTEM_PROMPT },
+    { role: "user", content: `${langHint}\n\n[Analysis Prompt]\n${analysisPrompt}\n\n[Task Prompt]\n${taskPrompt}\n\n[Data(JSON)]\n${JSON.stringify(userPayload).slice(0, 180000)}` },
+  ];
+}
+
+/* ---- Agent mode (body.agent = true): the model pulls data through backend tools ----
+   Bounded loop: at most maxSteps model turns that may call tools (AGENT_MAX_CALLS per turn), then one final
+   turn with tools disabled. OpenAI function calling first; Anthropic tool use when the endpoint looks wrong.
+   Response: OpenAI shape (choices[0].message.content) + agent { provider, steps, stopReason, toolCalls }.
+*/
+const AGENT_MAX_STEPS = Number(process.env.AGENT_MAX_STEPS || 6);
+const AGENT_MAX_CALLS = 8;
+const AGENT_MAX_CODES = 20;
+const AGENT_RESULT_CHARS = 12000;
+const AGENT_PROMPT = `
+6) 你可以调用工具按需获取数据（行情、技术指标、板块扫描、新闻、基金资料）；只引用工具实际返回的内容，工具失败时如实说明。
+7) 先想清楚需要哪些数据再调用，避免重复调用同一工具获取同样的数据。
+`.trim();
+
+const AGENT_CODES_SCHEMA = {
+  type: "array",
+  description: `Instruments (max ${AGENT_MAX_CODES}). Codes: CN fund 000001, A-share 600519.SH, CN ETF 510300.SH, HK 0700.HK, US QQQ.`,
+  items: {
+    type: "object",
+    properties: {
+      code: { type: "string" },
+      type: { type: "string", enum: INSTRUMENT_TYPES, description: "Optional; a bare 6-digit code is a CN fund" },
+    },
+    required: ["code"],
+  },
+};
+
+const agentCodes = (args) => (Array.isArray(args?.codes) ? args.codes : [])
+  .map((c) => (typeof c === "string" ? { code: c } : c))
+  .filter((c) => String(c?.code || "").trim())
+  .slice(0, AGENT_MAX_CODES);
+
+const AGENT_TOOLS = [
+  {
+    name: "get_quotes",
+    description: "Latest price / NAV (CN funds: intraday estimate and official NAV) for a list of instruments.",
+    parameters: { type: "object", properties: { codes: AGENT_CODES_SCHEMA }, required: ["codes"] },
+    run: async (args) => ({ items: await runBatch(agentCodes(args), (p) => quoteItem(p), { onError: (p, err, reason) => batchErrorItem(p, reason) }) }),
+  },
+  {
+    name: "get_technicals",
+    description: "Technical indicators (SMA/RSI/MACD/volatility/drawdown/52w range, tags) and optional benchmark-relative stats.",
+    parameters: {
+      type: "object",
+      properties: {
+        codes: AGENT_CODES_SCHEMA,
+        benchmark: { type: "string", description: "Optional benchmark alias (CSI300, CSI500, HSI, SPY, QQQ) or code" },
+      },
+      required: ["codes"],
+    },
+    run: (args) => techBatch(agentCodes(args), { benchmark: args?.benchmark || null }),
+  },
+  {
+    name: "sector_scan",
+    description: "Score and rank sector/theme proxies (ETFs, indices, funds) by momentum, trend and relative strength.",
+    parameters: {
+      type: "object",
+      properties: {
+        items: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: { code: { type: "string" }, type: { type: "string", enum: INSTRUMENT_TYPES }, theme: { type: "string" }, name: { type: "string" } },
+            required: ["code"],
+          },
+        },
+        rankBy: { type: "string", enum: ["rs", "ret20", "score"] },
+      },
+      required: ["items"],
+    },
+    run: (args) => sectorScan((Array.isArray(args?.items) ? args.items : []).slice(0, AGENT_MAX_CODES), { rankBy: args?.rankBy || "score" }),
+  },
+  {
+    name: "search_news",
+    description: "Recent finance headlines from RSS feeds, filtered by keywords (Chinese or English, comma separated).",
+    parameters: {
+      type: "object",
+      properties: {
+        keywords: { type: "string" },
+        preset: { type: "string", enum: ["cn", "us", "mixed"] },
+        days: { type: "integer", minimum: 1, maximum: 30 },
+        limit: { type: "integer", minimum: 5, maximum: 30 },
+      },
+    },
+    run: (args) => searchNews({ kwZh: args?.keywords || "", preset: args?.preset || "mixed", days: args?.days, limit: Math.min(30, Number(args?.limit) || 10) }),
+  },
+  {
+    name: "fund_meta",
+    description: "Name, type, market and currency for any code; for CN funds also fees, recent returns, managers, scale, asset allocation and top holdings.",
+    parameters: { type: "object", properties: { code: { type: "string" }, type: { type: "string", enum: INSTRUMENT_TYPES } }, required: ["code"] },
+    run: async (args) => {
+      const meta = await resolveMeta(String(args?.code || ""), args?.type);
+      if (!meta.ok || meta.type !== "CN_FUND") return meta;
+      const pr = await providerCall("CN", "profile", meta.code);
+      if (!pr.ok) return { ...meta, profile: null, profileError: pr.reason || "profile unavailable" };
+      const { fees, returns, managers, scale, assetAllocation, holdings, rank } = pr;
+      return { ...meta, profile: { fees, returns, managers, scale, assetAllocation: assetAllocation?.slice?.(-1) ?? assetAllocation, holdings: holdings?.slice(0, 10), rank } };
+    },
+  },
+];
+const AGENT_TOOL_MAP = new Map(AGENT_TOOLS.map((t) => [t.name, t]));
+// OpenAI function-calling shape (Ollama takes the same).
+const AGENT_FUNCTION_TOOLS = AGENT_TOOLS.map((t) => ({ type: "function", function: { name: t.name, description: t.description, parameters: t.parameters } }));
+
+// Tool result -> bounded JSON for the model (debug payloads and chart series dropped).
+function agentResultText(result) {
+  const txt = JSON.stringify(result, (k, v) => (k === "debug" || k === "series" ? undefined : v));
+  return txt.length > AGENT_RESULT_CHARS ? `${txt.slice(0, AGENT_RESULT_CHARS)}…(truncated)` : txt;
+}
+
+async function runAgentTool(name, args) {
+  const tool = AGENT_TOOL_MAP.get(name);
+  if (!tool) return { ok: false, error: `unknown tool ${name}` };
+  try {
+    const result = await withDeadline(() => tool.run(args || {}), BATCH_ITEM_TIMEOUT_MS);
+    return { ok: result?.ok !== false, result };
+  } catch (e) {
+    return { ok: false, error: e?.name === "DeadlineError" ? "tool timeout" : e?.message || String(e) };
+  }
+}
+
+// Provider dialects: request shape, reply parsing and how a tool round is appended to the conversation.
+const AGENT_DIALECTS = {
+  openai: {
+    init: (openaiMessages) => openaiMessages.slice(),
+    call: (ctx, messages, final) => callOpenAICompatChat({
+      ...ctx,
+      messages,
+      tools: AGENT_FUNCTION_TOOLS,
+      toolChoice: final ? "none" : "auto",
+    }),
+    parse: (j) => {
+      const msg = j?.choices?.[0]?.message || {};
+      const calls = (msg.tool_calls || []).map((c) => {
+        let args = {};
+        try {
+          args = JSON.parse(c.function?.arguments || "{}");
+        } catch {}
+        return { id: c.id, name: c.function?.name, args };
+      });
+      return { text: String(msg.content || ""), calls, stopReason: j?.choices?.[0]?.finish_reason || null, raw: msg };
+    },
+    append: (messages, reply, results) => {
+      messages.push({ role: "assistant", content: reply.raw.content ?? null, tool_calls: reply.raw.tool_calls });
+      for (const r of results) messages.push({ role: "tool", tool_call_id: r.id, content: r.content });
+    },
+  },
+  anthropic: {
+    init: (openaiMessages) => toAnthropicMessages(openaiMessages),
+    call: (ctx, messages, final) => callAnthropicMessages({
+      ...ctx,
+      system: `${SYSTEM_PROMPT}\n${AGENT_PROMPT}`,
+      messages,
+      tools: AGENT_TOOLS.map((t) => ({ name: t.name, description: t.description, input_schema: t.parameters })),
+      toolChoice: { type: final ? "none" : "auto" },
+    }),
+    parse: (j) => {
+      const blocks = Array.isArray(j?.content) ? j.content : [];
+      return {
+        text: blocks.filter((b) => b?.type === "text").map((b) => b.text || "").join("\n").trim(),
+        calls: blocks.filter((b) => b?.type === "tool_use").map((b) => ({ id: b.id, name: b.name, args: b.input || {} })),
+        stopReason: j?.stop_reason || null,
+        raw: blocks,
+      };
+    },
+    append: (messages, reply, results) => {
+      messages.push({ role: "assistant", content: reply.raw });
+      messages.push({ role: "user", content: results.map((r) => ({ type: "tool_result", tool_use_id: r.id, content: r.content, ...(r.ok ? {} : { is_error: true }) })) });
+    },
+  },
+  gemini: {
+    init: (openaiMessages) => toGeminiContents(openaiMessages),
+    call: (ctx, contents, final) => callGeminiGenerate({
+      ...ctx,
+      system: `${SYSTEM_PROMPT}\n${AGENT_PROMPT}`,
+      contents,
+      tools: AGENT_TOOLS.map((t) => ({ name: t.name, description: t.description, parameters: t.parameters })),
+      toolChoice: final ? "NONE" : "AUTO",
+    }),
+    parse: (j) => {
+      const cand = j?.candidates?.[0];
+      const parts = cand?.content?.parts || [];
+      return {
+        text: replyContent("gemini", j) || "",
+        calls: parts.filter((p) => p?.functionCall).map((p, i) => ({ id: p.functionCall.id || `call_${i}`, name: p.functionCall.name, args: p.functionCall.args || {} })),
+        stopReason: cand?.finishReason || null,
+        raw: parts, // sent back as-is (keeps thought signatures)
+      };
+    },
+    append: (contents, reply, results) => {
+      contents.push({ role: "model", parts: reply.raw });
+      contents.push({ role: "user", parts: results.map((r) => ({ functionResponse: { name: r.name, response: { content: r.content } } })) });
+    },
+  },
+  ollama: {
+    init: (openaiMessages) => openaiMessages.slice(),
+    // No tool_choice on Ollama: the final turn simply offers no tools.
+    call: (ctx, messages, final) => callOllamaChat({ ...ctx, messages, tools: final ? undefined : AGENT_FUNCTION_TOOLS }),
+    parse: (j) => {
+      const msg = j?.message || {};
+      const calls = (msg.tool_calls || []).map((c, i) => {
+        let args = c.function?.arguments || {};
+        if (typeof args === "string") {
+          try {
+            args = JSON.parse(args);
+          } catch {
+            args = {};
+          }
+        }
+        return { id: c.id || `call_${i}`, name: c.function?.name, args };
+      });
+      return { text: String(msg.content || ""), calls, stopReason: j?.done_reason || null, raw: msg };
+    },
+    append: (messages, reply, results) => {
+      messages.push({ role: "assistant", content: reply.raw.content || "", tool_calls: reply.raw.tool_calls });
+      for (const r of results) messages.push({ role: "tool", tool_name: r.name, content: r.content });
+    },
+  },
+};
+
+/**
+ * Run the tool loop. Returns { ok, content, agent } or { ok:false, status, text } carrying the upstream failure.
+ */
+async function runAgent({ openaiMessages, maxSteps = AGENT_MAX_STEPS, ...ctx }) {
+  let provider = "openai";
+  let dialect = AGENT_DIALECTS.openai;
+  let messages = dialect.init(openaiMessages);
+  const toolCalls = [];
+
+  for (let step = 0; step <= maxSteps; step++) {
+    const final = step === maxSteps;
+    let up;
+    if (step === 0) {
+      // The first turn settles the wire format for the rest of the loop.
+      const calls = Object.fromEntries(Object.entries(AGENT_DIALECTS).map(([wire, d]) => [wire, () => d.call(ctx, d.init(openaiMessages), final)]));
+      const first = await callByWire(ctx.wire, calls, "AI_AGENT");
+      provider = first.provider;
+      dialect = AGENT_DIALECTS[provider];
+      messages = dialect.init(openaiMessages);
+      up = first.up;
+    } else {
+      up = await dialect.call(ctx, messages, final);
+    }
+    if (!up.r.ok) return { ok: false, status: up.r.status, text: up.text };
+
+    let j;
+    try {
+      j = JSON.parse(up.text);
+    } catch {
+      return { ok: false, status: 502, text: JSON.stringify({ ok: false, error: "upstream returned non-JSON", body: up.text.slice(0, 800) }) };
+    }
+    const reply = dialect.parse(j);
+    if (!reply.calls.length || final) {
+      return { ok: true, content: reply.text, agent: { provider, steps: step + 1, stopReason: final && reply.calls.length ? "max_steps" : reply.stopReason, toolCalls } };
+    }
+
+    const results = [];
+    for (const [i, call] of reply.calls.entries()) {
+      const t0 = Date.now();
+      const out = i < AGENT_MAX_CALLS
+        ? await runAgentTool(call.name, call.args)
+        : { ok: false, error: `too many tool calls in one turn (max ${AGENT_MAX_CALLS})` };
+      const content = out.result !== undefined ? agentResultText(out.result) : JSON.stringify({ ok: false, error: out.error });
+      results.push({ id: call.id, name: call.name, ok: out.ok, content });
+      toolCalls.push({ step: step + 1, id: call.id, name: call.name, args: call.args, ok: out.ok, ms: Date.now() - t0, error: out.error || null, resultChars: content.length });
+    }
+    dialect.append(messages, reply, results);
+  }
+}
+
+// System prompt of an OpenAI-style message list (Anthropic / Gemini take it as a top-level field).
+function systemOf(openaiMessages) {
+  return openaiMessages.find((m) => m?.role === "system")?.content || SYSTEM_PROMPT;
+}
+
+/**
+ * One buffered completion over the selected wire (see callByWire).
+ * -> { ok, provider, status, text (raw upstream body), content } or { ok:false, status, text } (upstream failure).
+ */
+async function chatOnce({ openaiMessages, ...llm }) {
+  const { provider, up } = await callByWire(llm.wire, chatCalls(llm, openaiMessages));
+  if (!up.r.ok) return { ok: false, status: up.r.status, text: up.text };
+
+  let content = up.text;
+  try {
+    content = replyContent(provider, JSON.parse(up.text)) ?? up.text;
+  } catch {}
+  return { ok: true, provider, status: up.r.status, text: up.text, content: String(content || "") };
+}
+
+/* ---- Provider profiles (persisted in DATA_DIR/ai-profiles.json) ----
+   { id, name, baseUrl, wire: auto|openai|anthropic|gemini|ollama, model, temperature, maxTokens, keyHint } + the API key
+   encrypted at rest (AES-256-GCM). The encryption key comes from AI_PROFILE_SECRET, else from a random key file
+   created next to the data. Chat requests pass profileId; keys are never returned by any route.
+   Creating/updating/deleting profiles needs `Authorization: Bearer <AI_ADMIN_TOKEN>`; without a token configured
+   those writes are only accepted from loopback (set the token when the server sits behind a local reverse proxy).
+   A stored key is only ever sent to the baseUrl/wire it was saved with: changing either needs the key again.
+*/
+const AI_PROFILES_FILE = process.env.AI_PROFILES_FILE || path.join(DATA_DIR, "ai-profiles.json");
+const AI_PROFILE_KEY_FILE = process.env.AI_PROFILE_KEY_FILE || path.join(DATA_DIR, "ai-profile.key");
+const AI_PROFILE_SECRET = process.env.AI_PROFILE_SECRET || "";
+const AI_ADMIN_TOKEN = process.env.AI_ADMIN_TOKEN || "";
+
+let profileCipherKey = null;
+function getProfileCipherKey() {
+  if (profileCipherKey) return profileCipherKey;
+  if (AI_PROFILE_SECRET) {
+    profileCipherKey = crypto.createHash("sha256").update(AI_PROFILE_SECRET).digest();
+    return profileCipherKey;
+  }
+  try {
+    profileCipherKey = Buffer.from(fs.readFileSync(AI_PROFILE_KEY_FILE, "utf8").trim(), "base64");
+  } catch (e) {
+    if (e?.code !== "ENOENT") throw e;
+    profileCipherKey = crypto.randomBytes(32);
+    fs.mkdirSync(path.dirname(AI_PROFILE_KEY_FILE), { recursive: true });
+    fs.writeFileSync(AI_PROFILE_KEY_FILE, profileCipherKey.toString("base64"), { mode: 0o600 });
   }
+  if (profileCipherKey.length !== 32) throw new Error(`bad key file ${AI_PROFILE_KEY_FILE}`);
+  return profileCipherKey;
+}
 
-  return out;
+function encryptSecret(plain) {
+  const iv = crypto.randomBytes(12);
+  const c = crypto.createCipheriv("aes-256-gcm", getProfileCipherKey(), iv);
+  const data = Buffer.concat([c.update(String(plain), "utf8"), c.final()]);
+  return { v: 1, iv: iv.toString("base64"), tag: c.getAuthTag().toString("base64"), data: data.toString("base64") };
 }
 
-function guessSentiment(title, summary) {
-  const t = (title + " " + summary).toLowerCase();
-  const good = ["beats", "surge", "rally", "record", "rate cut", "stimulus", "approval", "upgrade", "strong", "cooling inflation", "上涨", "利好", "降息", "降准", "回暖"];
-  const bad  = ["miss", "plunge", "sell-off", "downgrade", "lawsuit", "crackdown", "ban", "default", "recession", "war", "inflation heats", "下跌", "利空", "收紧", "爆雷", "停摆"];
-  if (good.some((w) => t.includes(w))) return "利好";
-  if (bad.some((w) => t.includes(w))) return "利空";
-  return "中性";
+function decryptSecret(enc) {
+  const d = crypto.createDecipheriv("aes-256-gcm", getProfileCipherKey(), Buffer.from(enc.iv, "base64"));
+  d.setAuthTag(Buffer.from(enc.tag, "base64"));
+  return Buffer.concat([d.update(Buffer.from(enc.data, "base64")), d.final()]).toString("utf8");
 }
 
-app.post("/api/news/rss", async (req, res) => {
-  const feedDebug = [];
-  const kwZh = String(req.body?.kwZh || "");
-  const kwEn = String(req.body?.kwEn || "");
-  const preset = String(req.body?.preset || "mixed");
-  const limit = Math.max(5, Math.min(50, Number(req.body?.limit || 18)));
-  // Only keep recent items (default: last 7 days)
-  const days = Math.max(1, Math.min(30, Number(req.body?.days || 7)));
-  const customRss = Array.isArray(req.body?.customRss) ? req.body.customRss : [];
+function loadProfiles() {
+  try {
+    const j = JSON.parse(fs.readFileSync(AI_PROFILES_FILE, "utf8"));
+    return { profiles: j?.profiles && typeof j.profiles === "object" ? j.profiles : {} };
+  } catch (e) {
+    if (e?.code !== "ENOENT") console.error(`[AI_PROFILES] load failed file=${AI_PROFILES_FILE}`, e?.message || e);
+    return { profiles: {} };
+  }
+}
 
-  const kws = splitKeywords(kwZh).concat(splitKeywords(kwEn)).map((x) => x.toLowerCase());
-  const rssList =
-    preset === "custom" ? customRss :
-    RSS_PRESETS[preset] ? RSS_PRESETS[preset] :
-    RSS_PRESETS.mixed;
+function saveProfiles() {
+  fs.mkdirSync(path.dirname(AI_PROFILES_FILE), { recursive: true });
+  const tmp = `${AI_PROFILES_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(AI_PROFILES, null, 1), { mode: 0o600 });
+  fs.renameSync(tmp, AI_PROFILES_FILE);
+}
 
-  const feeds = rssList.filter(Boolean).slice(0, 20);
+const AI_PROFILES = loadProfiles();
 
-  const seen = new Set();
-  const matched = [];
-  const all = [];
+const normWire = (x) => (AI_WIRES.includes(String(x || "").toLowerCase()) ? String(x).toLowerCase() : "auto");
+const keyHint = (k) => (k.length > 8 ? `${k.slice(0, 3)}…${k.slice(-4)}` : "****");
 
-  const cutoffMs = Date.now() - days * 24 * 60 * 60 * 1000;
-  const curYear = new Date().getFullYear();
+// Stored profile -> what routes may show (no key material).
+function publicProfile(p) {
+  const { apiKeyEnc, ...rest } = p;
+  return rest;
+}
 
-  for (const url of feeds) {
-    const t0 = Date.now();
-    let dbg = { url, ok:false, status:null, items_in:0, items_kept:0, err:null, ms:0 };
-    try {
-      const r = await fetchWithTimeout(url, { timeoutMs: 20000 });
-      if (!r.ok) continue;
-      const xml = await r.text();
-      const parsed = parseRssOrAtom(xml);
+// Request body -> stored profile fields, merged over `prev` on update. -> { ok, profile } or { ok:false, error }.
+function normalizeProfile(raw, prev = null) {
+  const pick = (k) => (raw?.[k] !== undefined ? raw[k] : prev?.[k]);
+  const name = String(pick("name") || "").trim().slice(0, 60);
+  const model = String(pick("model") || "").trim();
+  if (!name) return { ok: false, error: "name required" };
+  if (!model) return { ok: false, error: "model required" };
+  const wireRaw = pick("wire");
+  if (wireRaw != null && wireRaw !== "" && !AI_WIRES.includes(String(wireRaw).toLowerCase())) return { ok: false, error: `wire must be one of ${AI_WIRES.join("/")}` };
+  const wire = normWire(wireRaw);
+  const apiKey = raw?.apiKey != null ? String(raw.apiKey).trim() : null;
+  // A local Ollama usually needs no key.
+  if (!apiKey && !prev?.apiKeyEnc && wire !== "ollama") return { ok: false, error: "apiKey required" };
+  const baseUrl = normalizeBaseUrl(pick("baseUrl"), wire);
+  if (!apiKey && prev?.apiKeyEnc && (baseUrl !== prev.baseUrl || wire !== prev.wire)) {
+    return { ok: false, error: "apiKey required when baseUrl or wire changes" };
+  }
 
-      for (const it of parsed) {
-        // Filter out very old items (RSS sources sometimes include stale entries)
-        const ts = parseDateMs(it.pubDate);
-        if (ts && ts < cutoffMs) continue;
-        if (!ts) {
-          // Heuristic: if we can see an explicit year in link/title/pubDate and it's not this year, drop it.
-          const y = extractYear(it.pubDate) || extractYear(it.link) || extractYear(it.title);
-          if (y && y < curYear) continue;
-        }
+  const temperature = pick("temperature") == null || pick("temperature") === "" ? null : Number(pick("temperature"));
+  if (temperature != null && !(temperature >= 0 && temperature <= 2)) return { ok: false, error: "temperature must be 0..2" };
+  const maxTokens = pick("maxTokens") == null || pick("maxTokens") === "" ? null : Math.floor(Number(pick("maxTokens")));
+  if (maxTokens != null && !(maxTokens >= 1 && maxTokens <= 200000)) return { ok: false, error: "maxTokens must be 1..200000" };
 
-        const key = (it.link || it.title || "").slice(0, 240);
-        if (!key || seen.has(key)) continue;
-        seen.add(key);
+  const now = new Date().toISOString();
+  return {
+    ok: true,
+    profile: {
+      id: prev?.id || crypto.randomUUID(),
+      name,
+      baseUrl,
+      wire,
+      model,
+      temperature,
+      maxTokens,
+      keyHint: apiKey ? keyHint(apiKey) : prev?.keyHint || null,
+      apiKeyEnc: apiKey ? encryptSecret(apiKey) : prev?.apiKeyEnc || null,
+      createdAt: prev?.createdAt || now,
+      updatedAt: now,
+    },
+  };
+}
 
-        const item = {
-          title: it.title,
-          link: it.link,
-          pubDate: ts ? toIsoDate(ts) : it.pubDate,
-          ts: ts || null,
-          source: url.replace(/^https?:\/\//, "").split("/")[0],
-          summary: it.summary,
-          sentiment: guessSentiment(it.title, it.summary),
-          topics: [],
-          market: preset === "us" ? "US" : preset === "cn" ? "CN" : "MIX",
-        };
-        all.push(item);
+/**
+ * Chat request -> { ok, target: { profileId, baseUrl, apiKey, model, wire, temperature, maxTokens } }.
+ * profileId (or the session's) wins over inline baseUrl/apiKey; body.model still overrides the default model.
+ */
+function resolveChatTarget(body, fallbackProfileId = null) {
+  const pid = body?.profileId || (!body?.apiKey ? fallbackProfileId : null);
+  if (pid) {
+    const prof = AI_PROFILES.profiles[String(pid)];
+    if (!prof) return { ok: false, status: 404, error: `profile not found: ${pid}` };
+    let apiKey;
+    try {
+      apiKey = prof.apiKeyEnc ? decryptSecret(prof.apiKeyEnc) : "";
+    } catch (e) {
+      console.error(`[AI_PROFILES] decrypt failed id=${prof.id}`, e?.message || e);
+      return { ok: false, status: 500, error: "stored key cannot be decrypted (was AI_PROFILE_SECRET changed?)" };
+    }
+    return {
+      ok: true,
+      target: {
+        profileId: prof.id,
+        baseUrl: prof.baseUrl,
+        apiKey,
+        model: String(body?.model || prof.model),
+        wire: prof.wire,
+        temperature: prof.temperature ?? undefined,
+        maxTokens: prof.maxTokens ?? undefined,
+      },
+    };
+  }
 
-        const hay = `${it.title} ${it.summary}`;
-        if (!kws.length || includesAny(hay, kws)) {
-          matched.push(item);
-        }
+  const apiKey = String(body?.apiKey || "");
+  const model = String(body?.model || "");
+  const wire = normWire(body?.wire);
+  if ((!apiKey && wire !== "ollama") || !model) return { ok: false, status: 400, error: "apiKey/model required (or profileId)" };
+  return { ok: true, target: { profileId: null, baseUrl: normalizeBaseUrl(body?.baseUrl, wire), apiKey, model, wire } };
+}
 
-        if (matched.length >= limit && all.length >= limit * 3) break;
-      }
-      if (matched.length >= limit && all.length >= limit * 3) break;
-    } catch {
-      // ignore feed errors
-    }
+const isLoopback = (addr) => /^(127\.|::1$|::ffff:127\.)/.test(String(addr || ""));
+
+function requireAdmin(req, res) {
+  if (!AI_ADMIN_TOKEN) {
+    if (isLoopback(req.socket?.remoteAddress)) return true;
+    res.status(403).json({ ok: false, error: "profile changes are local-only unless AI_ADMIN_TOKEN is set" });
+    return false;
   }
+  const got = String(req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+  const ok = got.length === AI_ADMIN_TOKEN.length && crypto.timingSafeEqual(Buffer.from(got), Buffer.from(AI_ADMIN_TOKEN));
+  if (!ok) res.status(401).json({ ok: false, error: "admin token required" });
+  return ok;
+}
 
-  // Sort by time desc (null at the end)
-  const sortByTs = (a, b) => (b.ts || 0) - (a.ts || 0);
-  matched.sort(sortByTs);
-  all.sort(sortByTs);
+app.get("/api/ai/profiles", (req, res) => {
+  const profiles = Object.values(AI_PROFILES.profiles).sort((a, b) => a.name.localeCompare(b.name)).map(publicProfile);
+  res.json({ ok: true, build: BUILD_ID, profiles });
+});
 
-  // Fallback: if matched is 0, return top headlines (avoid empty list)
-  if (kws.length && matched.length === 0) {
-    return res.json({ ok: true, build: BUILD_ID, matched: 0, fallback: true, items: all.slice(0, limit) });
+app.post("/api/ai/profiles", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const n = normalizeProfile(req.body);
+  if (!n.ok) return res.status(400).json({ ok: false, error: n.error });
+  AI_PROFILES.profiles[n.profile.id] = n.profile;
+  try {
+    saveProfiles();
+  } catch (e) {
+    delete AI_PROFILES.profiles[n.profile.id];
+    return res.status(500).json({ ok: false, error: `profiles save failed: ${e?.message || e}` });
   }
+  res.json({ ok: true, build: BUILD_ID, profile: publicProfile(n.profile) });
+});
 
-  res.json({ ok: true, build: BUILD_ID, matched: matched.length, fallback: false, items: matched.slice(0, limit) });
+// Partial update; omit apiKey to keep the stored one.
+app.put("/api/ai/profiles/:id", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const prev = AI_PROFILES.profiles[req.params.id];
+  if (!prev) return res.status(404).json({ ok: false, error: "profile not found" });
+  const n = normalizeProfile(req.body, prev);
+  if (!n.ok) return res.status(400).json({ ok: false, error: n.error });
+  AI_PROFILES.profiles[prev.id] = n.profile;
+  try {
+    saveProfiles();
+  } catch (e) {
+    AI_PROFILES.profiles[prev.id] = prev;
+    return res.status(500).json({ ok: false, error: `profiles save failed: ${e?.message || e}` });
+  }
+  res.json({ ok: true, build: BUILD_ID, profile: publicProfile(n.profile) });
 });
 
-/* =========================
-   AI chat proxy
-========================= */
-const SYSTEM_PROMPT = `
-你是严谨的投研助理（非理财顾问）。必须遵守：
-1) 不编造：没有数据就明确说不知道/需要补充。
-2) 不做保证收益/确定性断言；禁止“必涨/稳赚/保证”等。
-3) 必须引用输入数据：引用时说明来自哪个模块（持仓/风控/技术/板块/新闻），不要凭空添加来源。
-4) 输出结构清晰：先结论（短），再依据，再风险与不确定性，再可执行建议（以条件表达）。
-5) 对于技术指标/RSI等标签，要用小白能懂的语言解释，不要只报术语。
-`.trim();
+app.delete("/api/ai/profiles/:id", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const prev = AI_PROFILES.profiles[req.params.id];
+  if (!prev) return res.status(404).json({ ok: false, error: "profile not found" });
+  delete AI_PROFILES.profiles[prev.id];
+  try {
+    saveProfiles();
+  } catch (e) {
+    AI_PROFILES.profiles[prev.id] = prev;
+    return res.status(500).json({ ok: false, error: `profiles save failed: ${e?.message || e}` });
+  }
+  res.json({ ok: true, build: BUILD_ID, deleted: prev.id });
+});
 
-function normalizeBaseUrl(baseUrl) {
-  let u = String(baseUrl || "").trim();
-  if (!u) return "https://api.openai.com";
-  u = u.replace(/\/+$/, "");
-  // Users sometimes paste a full endpoint; normalize back to the host/base.
-  u = u.replace(/\/(v1\/chat\/completions|chat\/completions|v1\/messages|messages)$/i, "");
-  return u;
+/* ---- Chat sessions (persisted in DATA_DIR/ai-sessions.json) ----
+   body.session = true starts one, body.sessionId continues it. A session keeps the full transcript (for replay)
+   and the data snapshot the analysis is based on; follow-ups send `message` (or taskPrompt) and may send new `data`.
+   Upstream sees: system, then [language + analysis prompt + summary of folded turns + data] prefixed to the
+   oldest kept user turn, then the kept turns. When that passes the context budget (chars), everything but the
+   last AI_SESSION_KEEP_MESSAGES is folded into the running summary by the model (trimmed if that call fails).
+   API keys are never stored.
+*/
+const AI_SESSIONS_FILE = process.env.AI_SESSIONS_FILE || path.join(DATA_DIR, "ai-sessions.json");
+const AI_CONTEXT_CHARS = Number(process.env.AI_CONTEXT_CHARS || 120000);
+const AI_SESSION_KEEP_MESSAGES = 6;
+const AI_SESSION_MAX = 200;
+const AI_SESSION_MAX_MESSAGES = 400;
+const SUMMARY_PROMPT = "你是对话记录压缩助手。把给出的投研对话压缩成要点摘要：保留用户的问题、涉及的代码/基金名称、关键数字与结论、尚未解决的问题；不要添加新的分析。";
+
+function loadSessions() {
+  try {
+    const j = JSON.parse(fs.readFileSync(AI_SESSIONS_FILE, "utf8"));
+    return { sessions: j?.sessions && typeof j.sessions === "object" ? j.sessions : {} };
+  } catch (e) {
+    if (e?.code !== "ENOENT") console.error(`[AI_SESSIONS] load failed file=${AI_SESSIONS_FILE}`, e?.message || e);
+    return { sessions: {} };
+  }
 }
 
-// -------- Upstream response decoding (fix gzip/binary junk) --------
-function isGzipBuffer(buf) {
-  return buf && buf.length >= 2 && buf[0] === 0x1f && buf[1] === 0x8b;
-}
-function isDeflateBuffer(buf) {
-  // Common zlib header bytes for deflate streams (not exhaustive)
-  return buf && buf.length >= 2 && buf[0] === 0x78 && (buf[1] === 0x01 || buf[1] === 0x5e || buf[1] === 0x9c || buf[1] === 0xda);
+// Rewritten after every turn (snapshots included), so writes are async and coalesced:
+// one running, at most one queued that picks up the latest state. -> Promise
+let sessionsWrite = null;
+let sessionsQueued = null;
+function saveSessions() {
+  if (sessionsWrite) {
+    return (sessionsQueued ||= sessionsWrite.catch(() => {}).then(() => {
+      sessionsQueued = null;
+      return saveSessions();
+    }));
+  }
+  sessionsWrite = (async () => {
+    await fs.promises.mkdir(path.dirname(AI_SESSIONS_FILE), { recursive: true });
+    const tmp = `${AI_SESSIONS_FILE}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(AI_SESSIONS));
+    await fs.promises.rename(tmp, AI_SESSIONS_FILE);
+  })().finally(() => {
+    sessionsWrite = null;
+  });
+  return sessionsWrite;
 }
-async function responseToText(r) {
-  // Always read as bytes first, then attempt to decode (handles missing/incorrect Content-Encoding headers)
-  const ab = await r.arrayBuffer();
-  const buf = Buffer.from(ab);
+
+// Shutdown: write synchronously if an async save is still pending.
+function flushSessionsSync() {
+  if (!sessionsWrite && !sessionsQueued) return;
   try {
-    if (isGzipBuffer(buf)) return zlib.gunzipSync(buf).toString("utf8");
-    if (isDeflateBuffer(buf)) return zlib.inflateSync(buf).toString("utf8");
-  } catch {}
-  return buf.toString("utf8");
+    const tmp = `${AI_SESSIONS_FILE}.sync.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(AI_SESSIONS));
+    fs.renameSync(tmp, AI_SESSIONS_FILE);
+  } catch (e) {
+    console.error(`[AI_SESSIONS] flush failed file=${AI_SESSIONS_FILE}`, e?.message || e);
+  }
 }
 
-function wrapAsOpenAI(content) {
+const logSessionsSave = (e) => console.error(`[AI_SESSIONS] save failed file=${AI_SESSIONS_FILE}`, e?.message || e);
+
+const AI_SESSIONS = loadSessions();
+
+function langHintOf(outLang) {
+  return outLang === "en" ? "Please answer in English." :
+    outLang === "bi" ? "Please answer bilingually in Chinese and English." :
+    "请用中文回答。";
+}
+
+function sessionSummary(sess) {
   return {
-    choices: [{ message: { role: "assistant", content: String(content || "") } }],
+    id: sess.id,
+    title: sess.title,
+    model: sess.model,
+    createdAt: sess.createdAt,
+    updatedAt: sess.updatedAt,
+    messages: sess.messages.length,
+    summarizedMessages: sess.summaryUpto,
+    snapshotAt: sess.snapshotAt,
   };
 }
 
-async function callOpenAICompatChat({ baseUrl, apiKey, model, messages, temperature }) {
-  const endpoint = baseUrl.endsWith("/v1") ? `${baseUrl}/chat/completions` : `${baseUrl}/v1/chat/completions`;
-  const r = await fetchWithTimeout(endpoint, {
-    timeoutMs: 120000,
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      // Ask upstream not to compress; still decode defensively in responseToText()
-      "Accept-Encoding": "identity",
-      "Authorization": `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({ model, messages, temperature }),
-  });
-  const text = await responseToText(r);
-  return { endpoint, r, text };
+// Drop the least recently used sessions beyond AI_SESSION_MAX.
+function pruneSessions() {
+  const list = Object.values(AI_SESSIONS.sessions).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  for (const s of list.slice(AI_SESSION_MAX)) delete AI_SESSIONS.sessions[s.id];
 }
 
-function toAnthropicMessages(openaiMessages) {
-  // Convert OpenAI-style messages -> Anthropic Messages blocks
-  // Anthropic doesn't accept role=system inside messages (use top-level "system" instead).
-  return (openaiMessages || [])
-    .filter(m => m && m.role && m.role !== "system")
-    .map(m => ({
-      role: m.role === "assistant" ? "assistant" : "user",
-      content: [{ type: "text", text: String(m.content ?? "") }],
-    }));
+function newSession(body, { agent, target = {} }) {
+  const now = new Date().toISOString();
+  const data = body?.data || {};
+  return {
+    id: crypto.randomUUID(),
+    title: String(body?.title || body?.message || body?.taskPrompt || "新对话").replace(/\s+/g, " ").trim().slice(0, 60),
+    model: String(target.model || ""),
+    baseUrl: target.baseUrl || "",
+    profileId: target.profileId || null,
+    createdAt: now,
+    updatedAt: now,
+    outLang: String(body?.outLang || "zh"),
+    analysisPrompt: String(body?.analysisPrompt || ""),
+    agent,
+    snapshot: agent
+      ? { holdings: data.holdings || [], risk: data.risk || null }
+      : { holdings: data.holdings || [], risk: data.risk || null, tech: data.tech || null, sectors: data.sectors || null, news: data.news || [] },
+    snapshotAt: now,
+    summary: "",
+    summaryUpto: 0,
+    messages: [],
+  };
 }
 
-async function callAnthropicMessages({ baseUrl, apiKey, model, system, openaiMessages }) {
-  const endpoint = baseUrl.endsWith("/v1") ? `${baseUrl}/messages` : `${baseUrl}/v1/messages`;
-
-  const payload = {
-    model,
-    max_tokens: 2048,
-    system: String(system || ""),
-    messages: toAnthropicMessages(openaiMessages),
-  };
+// Fixed context carried by every upstream call of a session.
+function sessionContext(sess, budget) {
+  const data = JSON.stringify({ lang: sess.outLang, ...sess.snapshot }).slice(0, Math.floor(budget / 2));
+  return [
+    langHintOf(sess.outLang),
+    sess.analysisPrompt ? `[Analysis Prompt]\n${sess.analysisPrompt}` : "",
+    sess.summary ? `[Earlier conversation (summary)]\n${sess.summary}` : "",
+    `[Data(JSON), as of ${sess.snapshotAt}]\n${data}`,
+  ].filter(Boolean).join("\n\n");
+}
 
-  const r = await fetchWithTimeout(endpoint, {
-    timeoutMs: 120000,
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "Accept-Encoding": "identity",
-      "x-api-key": apiKey,
-      "anthropic-version": "2023-06-01",
-    },
-    body: JSON.stringify(payload),
-  });
+const msgChars = (msgs) => msgs.reduce((s, m) => s + String(m.content || "").length, 0);
+
+// Fold old turns into the summary until context + kept turns fit the budget.
+async function fitSession(sess, ctx, budget) {
+  const live = () => sess.messages.slice(sess.summaryUpto);
+  if (sessionContext(sess, budget).length + msgChars(live()) <= budget) return null;
+
+  // Fold up to the last AI_SESSION_KEEP_MESSAGES, ending before a user turn so kept history starts with one.
+  let cut = Math.max(0, live().length - AI_SESSION_KEEP_MESSAGES);
+  while (cut > 0 && live()[cut]?.role !== "user") cut--;
+  if (cut > 0) {
+    const folded = live().slice(0, cut);
+    const transcript = folded.map((m) => `${m.role === "user" ? "用户" : "助理"}：${m.content}`).join("\n\n").slice(-budget);
+    const r = await chatOnce({
+      ...ctx,
+      openaiMessages: [
+        { role: "system", content: SUMMARY_PROMPT },
+        { role: "user", content: `${sess.summary ? `[已有摘要]\n${sess.summary}\n\n` : ""}[新增对话]\n${transcript}` },
+      ],
+    });
+    sess.summary = r.ok && r.content.trim()
+      ? r.content.trim().slice(0, Math.floor(budget / 8))
+      : `${sess.summary ? `${sess.summary}\n` : ""}（已省略 ${folded.length} 条较早消息）`;
+    sess.summaryUpto += cut;
+    sess.summarizedAt = new Date().toISOString();
+    if (!r.ok) console.error(`[AI_SESSIONS] summary failed status=${r.status}; trimmed ${folded.length} messages`);
+  }
+  // Still over (few but very long turns): trim from the front, keeping at least the newest user turn.
+  while (live().length > 1 && sessionContext(sess, budget).length + msgChars(live()) > budget) {
+    sess.summaryUpto++;
+    while (live().length > 1 && live()[0].role !== "user") sess.summaryUpto++;
+  }
+  return { summarizedMessages: sess.summaryUpto };
+}
 
-  const text = await responseToText(r);
-  return { endpoint, r, text };
+function sessionMessages(sess, budget) {
+  const kept = sess.messages.slice(sess.summaryUpto).map((m) => ({ role: m.role, content: m.dataUpdated ? `[数据已更新]\n${m.content}` : m.content }));
+  kept[0] = { ...kept[0], content: `${sessionContext(sess, budget)}\n\n[Question]\n${kept[0].content}` };
+  return [{ role: "system", content: sess.agent ? `${SYSTEM_PROMPT}\n${AGENT_PROMPT}` : SYSTEM_PROMPT }, ...kept];
 }
 
-function looksLikeWrongEndpoint(status, bodyText) {
-  const t = String(bodyText || "").slice(0, 2000);
-  if ([404, 405, 415].includes(status)) return true;
-  if (status === 401) return true; // often header mismatch (Authorization vs x-api-key)
-  if (status === 400 || status === 422) {
-    return /chat\/completions|unknown (endpoint|route)|not found|no route|invalid (url|path)|unrecognized request/i.test(t);
+// Sends the upstream failure (or a timeout/other error) in the route's usual shape.
+function sendChatError(res, e) {
+  const msg = e?.message || String(e);
+  const name = e?.name || "";
+  console.error("[AI_CHAT_ERROR]", e?.stack || e);
+  if (name === "AbortError" || /aborted/i.test(msg)) {
+    return res.status(504).json({ ok: false, error: "Upstream timeout/aborted", hint: "Try increasing timeout or use a faster/cheaper model" });
   }
-  return false;
+  return res.status(500).json({ ok: false, error: msg });
 }
 
+// Session ids with a turn in flight: one turn at a time per session, a second one gets 409.
+const AI_SESSION_BUSY = new Set();
+
+async function sessionChat(req, res, { profileId, ...llm }, agent) {
+  const { model } = llm;
+  const body = req.body || {};
+  let sess;
+  if (body.sessionId) {
+    sess = AI_SESSIONS.sessions[String(body.sessionId)];
+    if (!sess) return res.status(404).json({ ok: false, error: "session not found" });
+  } else {
+    sess = newSession(body, { agent, target: { ...llm, profileId } });
+  }
 
-app.post("/api/ai/chat", async (req, res) => {
-  const baseUrl = normalizeBaseUrl(req.body?.baseUrl);
-  const apiKey = String(req.body?.apiKey || "");
-  const model = String(req.body?.model || "");
-  const outLang = String(req.body?.outLang || "zh");
-  const analysisPrompt = String(req.body?.analysisPrompt || "");
-  const taskPrompt = String(req.body?.taskPrompt || "");
-  const data = req.body?.data || {};
-
-  if (!apiKey || !model) return res.status(400).json({ ok: false, error: "apiKey/model required" });
-
-  const langHint =
-    outLang === "en" ? "Please answer in English." :
-    outLang === "bi" ? "Please answer bilingually in Chinese and English." :
-    "请用中文回答。";
+  const question = String(body.message || body.taskPrompt || "").trim();
+  if (!question) return res.status(400).json({ ok: false, error: "message (or taskPrompt) required" });
+  if (sess.messages.length >= AI_SESSION_MAX_MESSAGES) return res.status(400).json({ ok: false, error: `session is full (${AI_SESSION_MAX_MESSAGES} messages); start a new one` });
+  if (AI_SESSION_BUSY.has(sess.id)) return res.status(409).json({ ok: false, error: "session busy: previous turn still running" });
+  AI_SESSION_BUSY.add(sess.id);
+
+  const prevSnapshot = { snapshot: sess.snapshot, snapshotAt: sess.snapshotAt };
+  if (sess.messages.length && body.data) {
+    // New data replaces the snapshot; say so in the turn so the model does not mix old and new numbers.
+    sess.snapshot = newSession(body, { agent: sess.agent }).snapshot;
+    sess.snapshotAt = new Date().toISOString();
+  }
 
-  const userPayload = {
-    lang: outLang,
-    holdings: data.holdings || [],
-    risk: data.risk || null,
-    tech: data.tech || null,
-    sectors: data.sectors || null,
-    news: data.news || [],
+  const budget = Math.max(8000, Number(body.contextChars) || AI_CONTEXT_CHARS);
+  const ctx = llm;
+  const turn = { role: "user", content: question, at: new Date().toISOString(), ...(body.data && sess.messages.length ? { dataUpdated: true } : {}) };
+  let reply = null;
+  sess.messages.push(turn);
+  const commit = (content, meta = {}) => {
+    reply = { role: "assistant", content, at: new Date().toISOString(), model, ...meta };
+    sess.messages.push(reply);
+    AI_SESSION_BUSY.delete(sess.id);
+    sess.updatedAt = new Date().toISOString();
+    sess.model = model;
+    sess.profileId = profileId || null;
+    // A stored session deleted (or pruned) while the turn ran stays gone; only new sessions are inserted here.
+    if (body.sessionId && AI_SESSIONS.sessions[sess.id] !== sess) return;
+    AI_SESSIONS.sessions[sess.id] = sess;
+    pruneSessions();
+    saveSessions().catch(logSessionsSave);
   };
-
-  const openaiMessages = [
-    { role: "system", content: SYSTEM_PROMPT },
-    { role: "user", content: `${langHint}\n\n[Analysis Prompt]\n${analysisPrompt}\n\n[Task Prompt]\n${taskPrompt}\n\n[Data(JSON)]\n${JSON.stringify(userPayload).slice(0, 180000)}` },
-  ];
-
-  try {
-    // 1) Try OpenAI-compatible Chat Completions first
-    const oa = await callOpenAICompatChat({
-      baseUrl,
-      apiKey,
-      model,
-      messages: openaiMessages,
-      temperature: 0.4,
-    });
-
-    if (oa.r.ok) {
-      return res.status(oa.r.status).send(oa.text);
+  // Undo this turn only (by identity), including a snapshot it replaced.
+  const rollback = () => {
+    AI_SESSION_BUSY.delete(sess.id);
+    for (const m of [reply, turn]) {
+      const i = m ? sess.messages.indexOf(m) : -1;
+      if (i >= 0) sess.messages.splice(i, 1);
     }
+    Object.assign(sess, prevSnapshot);
+    if (AI_SESSIONS.sessions[sess.id]) saveSessions().catch(logSessionsSave); // keep a summary computed on the way
+  };
 
-    console.error(`[AI_CHAT_UPSTREAM_OPENAI] endpoint=${oa.endpoint} status=${oa.r.status} body=${oa.text.slice(0, 800)}`);
+  try {
+    await fitSession(sess, ctx, budget);
+    const openaiMessages = sessionMessages(sess, budget);
+    const session = () => sessionSummary(sess);
 
-    // 2) Fallback to Anthropic Messages format if it looks like a mismatch
-    if (looksLikeWrongEndpoint(oa.r.status, oa.text)) {
-      const an = await callAnthropicMessages({
-        baseUrl,
-        apiKey,
-        model,
-        system: SYSTEM_PROMPT,
+    if (!agent && body.stream) {
+      return streamChat(req, res, {
+        ...ctx,
         openaiMessages,
+        startExtra: { sessionId: sess.id },
+        onDone: (content, ok) => {
+          if (!ok) {
+            rollback();
+            return {};
+          }
+          commit(content);
+          return { session: session() };
+        },
       });
+    }
 
-      if (!an.r.ok) {
-        console.error(`[AI_CHAT_UPSTREAM_ANTHROPIC] endpoint=${an.endpoint} status=${an.r.status} body=${an.text.slice(0, 800)}`);
-        return res.status(oa.r.status).send(oa.text); // keep original failure for transparency
+    if (agent) {
+      const maxSteps = Math.max(1, Math.min(10, Number(body.maxSteps) || AGENT_MAX_STEPS));
+      const out = await runAgent({ ...ctx, openaiMessages, maxSteps });
+      if (!out.ok) {
+        rollback();
+        return res.status(out.status).send(out.text);
       }
+      commit(out.content, { toolCalls: out.agent.toolCalls.map((c) => c.name) });
+      return res.status(200).json({ ...wrapAsOpenAI(out.content), agent: out.agent, session: session() });
+    }
 
-      // Convert Anthropic -> OpenAI shape (front-end expects choices[0].message.content)
-      let contentText = an.text;
-      try {
-        const j = JSON.parse(an.text);
-        contentText = (j?.content || [])
-          .filter(b => b?.type === "text")
-          .map(b => b?.text || "")
-          .join("\n")
-          .trim() || an.text;
-      } catch {}
+    const out = await chatOnce({ ...ctx, openaiMessages });
+    if (!out.ok) {
+      rollback();
+      return res.status(out.status).send(out.text);
+    }
+    commit(out.content);
+    return res.status(200).json({ ...wrapAsOpenAI(out.content), provider: out.provider, session: session() });
+  } catch (e) {
+    rollback();
+    return sendChatError(res, e);
+  }
+}
+
+app.post("/api/ai/chat", async (req, res) => {
+  // A session continues on the profile it was started with unless the request names another.
+  const sessionProfile = req.body?.sessionId ? AI_SESSIONS.sessions[String(req.body.sessionId)]?.profileId : null;
+  const t = resolveChatTarget(req.body, sessionProfile);
+  if (!t.ok) return res.status(t.status).json({ ok: false, error: t.error });
+  const { profileId, ...llm } = t.target;
+
+  const agent = !!req.body?.agent;
+  if (req.body?.session || req.body?.sessionId) return sessionChat(req, res, t.target, agent);
 
-      return res.status(200).json(wrapAsOpenAI(contentText));
+  const openaiMessages = buildChatMessages(req.body, { agent });
+  // Agent mode answers in one JSON response (stream is ignored there).
+  if (!agent && req.body?.stream) return streamChat(req, res, { ...llm, openaiMessages });
+
+  try {
+    if (agent) {
+      const maxSteps = Math.max(1, Math.min(10, Number(req.body?.maxSteps) || AGENT_MAX_STEPS));
+      const out = await runAgent({ ...llm, openaiMessages, maxSteps });
+      if (!out.ok) return res.status(out.status).send(out.text);
+      return res.status(200).json({ ...wrapAsOpenAI(out.content), agent: out.agent });
     }
 
-    // 3) Otherwise, return the OpenAI-compatible error response as-is
-    return res.status(oa.r.status).send(oa.text);
+    const out = await chatOnce({ ...llm, openaiMessages });
+    if (!out.ok) return res.status(out.status).send(out.text);
+    // OpenAI-compatible bodies go through untouched; Anthropic is converted (front-end expects choices[0].message.content).
+    if (out.provider === "openai") return res.status(out.status).send(out.text);
+    return res.status(200).json(wrapAsOpenAI(out.content));
   } catch (e) {
-    const msg = e?.message || String(e);
-    const name = e?.name || "";
-    console.error("[AI_CHAT_ERROR]", e?.stack || e);
-    if (name === "AbortError" || /aborted/i.test(msg)) {
-      return res.status(504).json({ ok: false, error: "Upstream timeout/aborted", hint: "Try increasing timeout or use a faster/cheaper model" });
-    }
-    return res.status(500).json({ ok: false, error: msg });
+    return sendChatError(res, e);
+  }
+});
+
+app.get("/api/ai/sessions", (req, res) => {
+  const sessions = Object.values(AI_SESSIONS.sessions)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .map(sessionSummary);
+  res.json({ ok: true, build: BUILD_ID, sessions });
+});
+
+// Full transcript + data snapshot (replay).
+app.get("/api/ai/sessions/:id", (req, res) => {
+  const sess = AI_SESSIONS.sessions[req.params.id];
+  if (!sess) return res.status(404).json({ ok: false, error: "session not found" });
+  res.json({ ok: true, build: BUILD_ID, session: sess });
+});
+
+app.delete("/api/ai/sessions/:id", async (req, res) => {
+  const sess = AI_SESSIONS.sessions[req.params.id];
+  if (!sess) return res.status(404).json({ ok: false, error: "session not found" });
+  delete AI_SESSIONS.sessions[req.params.id];
+  try {
+    await saveSessions();
+  } catch (e) {
+    AI_SESSIONS.sessions[sess.id] = sess;
+    return res.status(500).json({ ok: false, error: `sessions save failed: ${e?.message || e}` });
   }
+  res.json({ ok: true, build: BUILD_ID, deleted: sess.id });
 });
 
 /* =========================
    Start
 ========================= */
-console.log("[AI PROXY] anthropic-messages compatible, gzip/deflate decode enabled");
+console.log("[AI PROXY] wires: openai/anthropic (auto-detect) + gemini/ollama (explicit), gzip/deflate decode enabled");
 app.listen(PORT, () => {
   console.log(`[NEON QUANT backend] listening on :${PORT} build=${BUILD_ID} tz=${TZ}`);
 });
 
+// Persist the cache before the host stops us (Render sends SIGTERM on restart/deploy).
+for (const sig of ["SIGTERM", "SIGINT"]) {
+  process.on(sig, () => {
+    CACHE.flushSync?.();
+    flushSessionsSync();
+    process.exit(0);
+  });
+}
+
 // [PATCH_MARK] anthropic-compat build
 
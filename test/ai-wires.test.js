@@ -0,0 +1,198 @@
+// Upstream wire adapters (/api/ai/chat) against an in-process mock: the server runs as a child process
+// pointed at the mock, so requests and replies are checked on the wire.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import net from "node:net";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const SERVER = fileURLToPath(new URL("../server.js", import.meta.url));
+const seen = []; // { url, headers, body } per upstream request
+
+function sseFrame(obj) {
+  return `data: ${JSON.stringify(obj)}\n\n`;
+}
+
+// Gemini: /v1beta/models/<m>:generateContent | :streamGenerateContent?alt=sse
+// Ollama: /api/chat (NDJSON when stream)
+// OpenAI-compatible: 404 under /anthropic-only, else one choice
+// Anthropic: /v1/messages
+function mockUpstream(req, res, body) {
+  if (/:generateContent$/.test(req.url)) {
+    res.writeHead(200, { "content-type": "application/json" });
+    return res.end(JSON.stringify({
+      candidates: [{ content: { role: "model", parts: [{ text: "draft", thought: true }, { text: "gemini ok" }] }, finishReason: "STOP" }],
+    }));
+  }
+  if (/:streamGenerateContent\?alt=sse$/.test(req.url)) {
+    res.writeHead(200, { "content-type": "text/event-stream" });
+    res.write(sseFrame({ candidates: [{ content: { role: "model", parts: [{ text: "Hel" }] } }] }));
+    res.write(sseFrame({ candidates: [{ content: { role: "model", parts: [{ text: "lo" }] }, finishReason: "STOP" }], usageMetadata: { totalTokenCount: 7 } }));
+    return res.end();
+  }
+  if (req.url === "/api/chat") {
+    if (!body.stream) {
+      res.writeHead(200, { "content-type": "application/json" });
+      return res.end(JSON.stringify({ message: { role: "assistant", content: "ollama ok" }, done: true, done_reason: "stop" }));
+    }
+    res.writeHead(200, { "content-type": "application/x-ndjson" });
+    res.write(`${JSON.stringify({ message: { role: "assistant", content: "Ol" }, done: false })}\n`);
+    res.write(`${JSON.stringify({ message: { role: "assistant", content: "lama" }, done: false })}\n`);
+    res.write(`${JSON.stringify({ message: { role: "assistant", content: "" }, done: true, done_reason: "stop", prompt_eval_count: 5, eval_count: 2 })}\n`);
+    return res.end();
+  }
+  if (req.url.endsWith("/chat/completions")) {
+    if (req.url.startsWith("/anthropic-only/")) {
+      res.writeHead(404);
+      return res.end("not found");
+    }
+    res.writeHead(200, { "content-type": "application/json" });
+    return res.end(JSON.stringify({ choices: [{ message: { role: "assistant", content: "openai ok" } }] }));
+  }
+  if (req.url.endsWith("/v1/messages")) {
+    res.writeHead(200, { "content-type": "application/json" });
+    return res.end(JSON.stringify({ content: [{ type: "text", text: "anthropic ok" }], stop_reason: "end_turn" }));
+  }
+  res.writeHead(404);
+  res.end();
+}
+
+let mock, mockUrl, server, serverUrl, dataDir;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const s = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = s.address();
+      s.close(() => resolve(port));
+    });
+    s.on("error", reject);
+  });
+}
+
+before(async () => {
+  mock = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => (raw += c));
+    req.on("end", () => {
+      const body = raw ? JSON.parse(raw) : {};
+      seen.push({ url: req.url, headers: req.headers, body });
+      mockUpstream(req, res, body);
+    });
+  });
+  await new Promise((resolve) => mock.listen(0, "127.0.0.1", resolve));
+  mockUrl = `http://127.0.0.1:${mock.address().port}`;
+
+  const port = await freePort();
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "ai-wires-"));
+  server = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, CACHE_BACKEND: "memory", OFFLINE: "1" },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  await new Promise((resolve, reject) => {
+    const t = setTimeout(() => reject(new Error("server did not start")), 15000);
+    server.stdout.on("data", (d) => {
+      if (/listening on/.test(String(d))) {
+        clearTimeout(t);
+        resolve();
+      }
+    });
+    server.on("exit", (code) => reject(new Error(`server exited (${code})`)));
+  });
+  serverUrl = `http://127.0.0.1:${port}`;
+});
+
+after(() => {
+  server?.kill();
+  mock?.close();
+  if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function chat(body) {
+  const r = await fetch(`${serverUrl}/api/ai/chat`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ message: "hi", ...body }),
+  });
+  return { status: r.status, type: r.headers.get("content-type") || "", text: await r.text() };
+}
+
+// SSE body -> [{ type, ... }] (data lines only; `event:` always equals data.type)
+function events(text) {
+  return text.split("\n\n").map((f) => f.split("\n").find((l) => l.startsWith("data: "))).filter(Boolean).map((l) => JSON.parse(l.slice(6)));
+}
+
+const lastSeen = () => seen[seen.length - 1];
+
+test("gemini generateContent is wrapped as an OpenAI reply", async () => {
+  const r = await chat({ baseUrl: mockUrl, apiKey: "g-key", model: "gemini-test", wire: "gemini" });
+  assert.equal(r.status, 200);
+  assert.equal(JSON.parse(r.text).choices[0].message.content, "gemini ok");
+
+  const up = lastSeen();
+  assert.equal(up.url, "/v1beta/models/gemini-test:generateContent");
+  assert.equal(up.headers["x-goog-api-key"], "g-key");
+  assert.ok(up.body.systemInstruction.parts[0].text.length > 0);
+  assert.deepEqual(up.body.contents.map((c) => c.role), ["user"]);
+  assert.equal(up.body.generationConfig.temperature, 0.4);
+});
+
+test("gemini SSE stream is relayed as start/delta/done", async () => {
+  const r = await chat({ baseUrl: mockUrl, apiKey: "g-key", model: "gemini-test", wire: "gemini", stream: true });
+  assert.match(r.type, /text\/event-stream/);
+  const ev = events(r.text);
+  assert.deepEqual(ev.map((e) => e.type), ["start", "delta", "delta", "done"]);
+  assert.equal(ev[0].provider, "gemini");
+  assert.equal(ev.filter((e) => e.type === "delta").map((e) => e.text).join(""), "Hello");
+  assert.equal(ev[3].finishReason, "STOP");
+  assert.deepEqual(ev[3].usage, { totalTokenCount: 7 });
+  assert.equal(lastSeen().url, "/v1beta/models/gemini-test:streamGenerateContent?alt=sse");
+});
+
+test("ollama native chat needs no key", async () => {
+  const r = await chat({ baseUrl: mockUrl, model: "llama-test", wire: "ollama" });
+  assert.equal(r.status, 200);
+  assert.equal(JSON.parse(r.text).choices[0].message.content, "ollama ok");
+
+  const up = lastSeen();
+  assert.equal(up.url, "/api/chat");
+  assert.equal(up.headers.authorization, undefined);
+  assert.equal(up.body.stream, false);
+  assert.equal(up.body.messages[0].role, "system");
+});
+
+test("ollama NDJSON stream is relayed as start/delta/done", async () => {
+  const r = await chat({ baseUrl: mockUrl, model: "llama-test", wire: "ollama", stream: true });
+  const ev = events(r.text);
+  assert.deepEqual(ev.map((e) => e.type), ["start", "delta", "delta", "done"]);
+  assert.equal(ev.filter((e) => e.type === "delta").map((e) => e.text).join(""), "Ollama");
+  assert.equal(ev[3].provider, "ollama");
+  assert.equal(ev[3].finishReason, "stop");
+  assert.deepEqual(ev[3].usage, { prompt_eval_count: 5, eval_count: 2 });
+});
+
+test("auto falls back from OpenAI-compatible to Anthropic Messages on a wrong endpoint", async () => {
+  const from = seen.length;
+  const r = await chat({ baseUrl: `${mockUrl}/anthropic-only`, apiKey: "a-key", model: "claude-test" });
+  assert.equal(r.status, 200);
+  assert.equal(JSON.parse(r.text).choices[0].message.content, "anthropic ok");
+  assert.deepEqual(seen.slice(from).map((s) => s.url), ["/anthropic-only/v1/chat/completions", "/anthropic-only/v1/messages"]);
+  assert.equal(lastSeen().headers["x-api-key"], "a-key");
+});
+
+test("auto keeps OpenAI-compatible when it answers", async () => {
+  const from = seen.length;
+  const r = await chat({ baseUrl: mockUrl, apiKey: "o-key", model: "gpt-test" });
+  assert.equal(JSON.parse(r.text).choices[0].message.content, "openai ok");
+  assert.deepEqual(seen.slice(from).map((s) => s.url), ["/v1/chat/completions"]);
+});
+
+test("a pinned wire never falls back", async () => {
+  const from = seen.length;
+  const r = await chat({ baseUrl: `${mockUrl}/anthropic-only`, apiKey: "o-key", model: "gpt-test", wire: "openai" });
+  assert.equal(r.status, 404);
+  assert.deepEqual(seen.slice(from).map((s) => s.url), ["/anthropic-only/v1/chat/completions"]);
+});